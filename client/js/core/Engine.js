@@ -11,6 +11,8 @@ import { BirdManager } from '../managers/BirdManager.js';
 import { ScoreManager } from '../managers/ScoreManager.js';
 import { UIManager } from '../managers/UIManager.js';
 import { VoiceManager } from '../managers/VoiceManager.js';
+import { SpectatorManager } from '../managers/SpectatorManager.js';
+import { LeaderboardManager } from '../managers/LeaderboardManager.js';
 
 export class Engine {
     constructor() {
@@ -62,12 +64,15 @@ export class Engine {
         this.uiManager = new UIManager(this);
         this.playerManager = new PlayerManager(this);
         this.sessionManager = new SessionManager(this);
+        this.leaderboardManager = new LeaderboardManager(this);
         this.world = new World(this);
         this.voiceManager = new VoiceManager(this);
+        this.spectatorManager = new SpectatorManager(this);
 
         // Setup network events after connection
         this.networkManager.onConnect = () => {
             this.networkManager.ws.addEventListener('message', (event) => {
+                if (typeof event.data !== 'string') return;
                 const message = JSON.parse(event.data);
                 if (message.type === 'id' && !this.playerManager.localPlayer) {
                     this.playerManager.createLocalPlayer();
@@ -128,12 +133,14 @@ export class Engine {
         // Update all managers
         this.inputManager.update(delta, frame);
         this.playerManager.update(delta, frame);
+        this.networkManager.update(delta); // Sends our pose when it changes
         this.bulletManager.update(delta);
         this.birdManager.update(delta);
         this.uiManager.update();
         this.uiManager.updateTimer(); // Update timer every frame
         this.scoreManager.update(delta);
         this.world.update(); // Update terrain shader
+        this.spectatorManager.update(delta);
 
         // Update OrbitControls only if not in VR
         if (!this.renderer.xr.isPresenting) {
@@ -146,12 +153,58 @@ export class Engine {
 
     handleNetworkMessage(message, senderId) {
         switch (message.type) {
-            case 'gameStart':
-                this.uiManager.handleNetworkGameStart(message.data);
+            case 'matchPhase':
+                this.uiManager.handleMatchPhase(message.data);
                 break;
-            case 'gameEnd':
-                this.uiManager.handleNetworkGameEnd(message.data);
+            case 'roomSnapshot':
+                // Joining or resuming mid-match: adopt the room's current state
+                this.playerManager.hydrateProfiles(message.data.profiles);
+                this.uiManager.hydrateFromSnapshot(message.data.match);
+                this.birdManager.hydrateFromSnapshot(message.data.targets);
+                this.scoreManager.hydrateFromSnapshot(message.data.scores);
+                this.handleWaveState(message.data.waves);
+                this.handleCourseState(message.data.course);
+                this.handleEliminationState(message.data.elimination);
+                if (message.data.results) {
+                    this.scoreManager.showResults(message.data.results);
+                } else if (message.data.stats) {
+                    this.scoreManager.showResults(message.data.stats, 'MATCH STATS');
+                }
+                break;
+            case 'matchResults':
+                this.scoreManager.showResults(message.data);
+                break;
+            case 'playerStats':
+                // Same table as the results, kept up to date while the match runs
+                this.scoreManager.showResults(message.data, 'MATCH STATS');
+                break;
+            case 'waveState':
+                this.handleWaveState(message.data);
+                break;
+            case 'courseState':
+                this.handleCourseState(message.data);
+                break;
+            case 'eliminationState':
+                this.handleEliminationState(message.data);
                 break;
         }
     }
+
+    // Wave mode progress from the server; null outside wave mode
+    handleWaveState(state) {
+        this.birdManager.handleWaveState(state);
+        this.scoreManager.updateWaves(state);
+    }
+
+    // Time-attack progress from the server; null outside time-attack mode
+    handleCourseState(state) {
+        this.birdManager.handleCourseState(state);
+        this.scoreManager.updateCourse(state);
+    }
+
+    // Targets left per player from the server; null outside elimination mode
+    handleEliminationState(state) {
+        this.birdManager.handleEliminationState(state);
+        this.scoreManager.updateElimination(state);
+    }
 }
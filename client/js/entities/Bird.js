@@ -135,12 +135,13 @@ export class Bird extends THREE.Object3D {
             this.mixer.update(delta);
         }
 
+        const currentTime = this.now();
+
         // Check lifespan
-        if (Date.now() - this.spawnTime > this.lifespan) {
+        if (currentTime - this.spawnTime > this.lifespan) {
             return true; // Bird should be removed
         }
 
-        const currentTime = Date.now();
         const age = currentTime - this.spawnTime;
 
         // Debug log movement parameters and timing
@@ -273,6 +274,11 @@ export class Bird extends THREE.Object3D {
         return this.health <= 0;
     }
 
+    now() {
+        // Shared server time when networked, so orbit math agrees across clients
+        return this.birdManager?.engine?.networkManager?.getServerTime() ?? Date.now();
+    }
+
     updateFromNetwork(position, rotation, age) {
         console.debug(`[BIRD ${this.uuid.slice(0,4)}] Received network update:
             Position: ${position.map(n => n.toFixed(2))}
@@ -292,9 +298,9 @@ export class Bird extends THREE.Object3D {
         this.lastSyncedAge = age;
         
         // Update spawn time based on age, ensuring smooth movement calculation
-        if (Math.abs(Date.now() - age - this.spawnTime) > 1000) {
+        if (Math.abs(this.now() - age - this.spawnTime) > 1000) {
             const oldSpawnTime = this.spawnTime;
-            this.spawnTime = Date.now() - age;
+            this.spawnTime = this.now() - age;
             console.debug(`[BIRD ${this.uuid.slice(0,4)}] Updated spawn time:
                 Old: ${oldSpawnTime}
                 New: ${this.spawnTime}
@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 
 export class Bullet extends THREE.Object3D {
-    constructor(position, direction, speed = 0.3, lifespan = 2000) {
+    constructor(position, direction, speed = 20, lifespan = 2000) {
         super();
         
         // Create bullet mesh
@@ -19,7 +19,7 @@ export class Bullet extends THREE.Object3D {
         this.position.copy(position);
         this.previousPosition = position.clone(); // Store previous position
         this.direction = direction.clone().normalize(); // Clone and normalize direction
-        this.speed = speed;
+        this.speed = speed; // Metres per second, simulated identically by the server
         this.creationTime = Date.now();
         this.lifespan = lifespan;
 
@@ -36,13 +36,12 @@ export class Bullet extends THREE.Object3D {
         });
     }
 
-    update() {
+    update(delta) {
         // Store previous position before moving
         this.previousPosition.copy(this.position);
         
         // Move bullet along its direction
-        const movement = this.direction.clone().multiplyScalar(this.speed);
-        this.position.add(movement);
+        this.position.addScaledVector(this.direction, this.speed * delta);
         
         // Check if bullet should be destroyed
         const age = Date.now() - this.creationTime;
@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { TARGET_TYPES, escapeTime } from '../../../shared/waves.js';
+import { coursePositionAt } from '../../../shared/courses.js';
+import { resolveMovement, movementPositionAt, insertShot } from '../../../shared/movement.js';
+
+const DEFAULT_LIFESPAN = 50000; // 50 seconds
 
 export class HolographicBall extends THREE.Object3D {
     constructor(position = new THREE.Vector3(), direction = new THREE.Vector3(1, 0, 0)) {
@@ -13,7 +18,15 @@ export class HolographicBall extends THREE.Object3D {
         this.direction = direction.normalize();
         this.health = 25; // Starting with 50% health so it dies in one hit
         this.spawnTime = Date.now();
-        this.lifespan = 50000; // 50 seconds lifespan
+        this.lifespan = DEFAULT_LIFESPAN;
+        this.type = 'ball';
+        this.speed = 0; // m/s along initialDirection; wave mode targets fly off and escape
+        this.courseIndex = null; // Time-attack target number within the room's course
+        this.courseTarget = null; // Resolved course target, which sets the path
+        this.owner = null; // Elimination mode: id of the player whose target this is
+        this.movementSpec = null; // { behavior, seed } from the spawn message, see shared/movement.js
+        this.movement = null; // Its resolved parameters
+        this.shots = []; // Shots fired since spawning, which evasive targets dodge
 
         // Network sync properties
         this.lastNetworkUpdate = Date.now();
@@ -82,6 +95,42 @@ export class HolographicBall extends THREE.Object3D {
         this.add(this.ball);
     }
 
+    // Wave properties from the host or the server: { type, speed, health }
+    setWaveProperties({ type, speed, health }) {
+        this.type = type;
+        this.speed = speed;
+        this.health = health;
+        this.lifespan = Math.min(DEFAULT_LIFESPAN, escapeTime(speed));
+        this.ball.material.uniforms.color.value.set(TARGET_TYPES[type]?.color ?? TARGET_TYPES.ball.color);
+    }
+
+    setCourseTarget(target) {
+        this.courseIndex = target.index;
+        this.courseTarget = target;
+        this.lifespan = target.lifetime;
+    }
+
+    // Elimination targets wear their owner's colour and stay up until shot
+    setOwner(owner, color) {
+        this.owner = owner;
+        this.lifespan = Infinity;
+        if (color) {
+            this.ball.material.uniforms.color.value.set(color);
+        }
+    }
+
+    // movement: { behavior, seed }, resolved from where the ball spawned
+    setMovement(movement) {
+        this.movementSpec = movement;
+        this.movement = resolveMovement(movement, this.initialPosition.toArray());
+    }
+
+    // shot: { time, origin, direction } with time in server ms, as in bulletSpawned
+    addShot(shot) {
+        if (this.movement?.behavior !== 'evade' || shot.time < this.spawnTime) return;
+        insertShot(this.shots, { ...shot, time: shot.time - this.spawnTime });
+    }
+
     updateBoundingBox() {
         // Update bounding box to match the ball's actual size
         if (this.ball) {
@@ -101,14 +150,29 @@ export class HolographicBall extends THREE.Object3D {
             this.ball.material.uniforms.time.value += delta;
         }
 
+        // Moving targets follow the same path the server simulates
+        const age = this.now() - this.spawnTime;
+        if (this.courseTarget) {
+            this.position.fromArray(coursePositionAt(this.courseTarget, age));
+        } else if (this.movement) {
+            this.position.fromArray(movementPositionAt(this.movement, age, this.shots));
+        } else if (this.speed > 0) {
+            this.position.copy(this.initialPosition)
+                .addScaledVector(this.initialDirection, this.speed * Math.max(0, age) / 1000);
+        }
+
         // Update bounding box
         this.updateBoundingBox();
 
         // Check if lifespan is over
-        const age = Date.now() - this.spawnTime;
         return age > this.lifespan;
     }
 
+    now() {
+        // Shared server time when networked, so every client ages the ball identically
+        return this.birdManager?.engine.networkManager?.getServerTime() ?? Date.now();
+    }
+
     takeDamage(damage, hitPosition) {
         this.health -= damage;
         
@@ -132,15 +196,37 @@ export class HolographicBall extends THREE.Object3D {
 
     getNetworkState() {
         return {
+            id: this.uuid,
             position: this.position.toArray(),
+            direction: this.initialDirection.toArray(),
+            type: this.type,
+            speed: this.speed,
             health: this.health,
+            courseIndex: this.courseIndex,
+            owner: this.owner,
+            movement: this.movementSpec,
             spawnTime: this.spawnTime
         };
     }
 
     applyNetworkState(state) {
         this.position.fromArray(state.position);
+        this.initialPosition.fromArray(state.position);
+        if (state.speed !== undefined) {
+            this.setWaveProperties({ type: state.type ?? this.type, speed: state.speed, health: state.health });
+        }
         this.health = state.health;
         this.spawnTime = state.spawnTime;
+        if (state.courseIndex != null) {
+            this.courseIndex = state.courseIndex;
+        }
+        if (state.owner != null) {
+            this.owner = state.owner;
+            this.lifespan = Infinity;
+        }
+        if (state.movement) {
+            this.setMovement(state.movement);
+            this.shots = (state.shots ?? []).map(shot => ({ ...shot }));
+        }
     }
 }
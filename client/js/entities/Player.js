@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { RifleModel } from '../models/RifleModel.js';
+import { SnapshotBuffer } from '../network/SnapshotBuffer.js';
+import { getTeam } from '../../../shared/teams.js';
 
 export class Player {
     constructor(engine, id, isLocal) {
@@ -10,10 +12,16 @@ export class Player {
         this.position = new THREE.Vector3();
         this.rotation = new THREE.Euler();
         this.velocity = new THREE.Vector3();
+        this.profile = null; // { name, color, team? } from the server
+        this.nameLabel = null; // Sprite over remote players' heads
+        this.avatarMaterials = []; // Tinted with the player's team colour, or their chosen colour
         
         this.setupMesh();
         if (isLocal) {
             this.setupLocalPlayer();
+        } else {
+            // Remote poses are rendered slightly in the past and interpolated
+            this.snapshotBuffer = new SnapshotBuffer();
         }
     }
 
@@ -34,6 +42,7 @@ export class Player {
                 new THREE.MeshStandardMaterial({ color: 0xffcc99 })
             );
             head.add(headBase);
+            this.avatarMaterials.push(headBase.material);
             
             // Add eyes
             const eyeGeometry = new THREE.SphereGeometry(0.025, 8, 8);
@@ -83,6 +92,7 @@ export class Player {
             // Add ears
             const earGeometry = new THREE.CapsuleGeometry(0.015, 0.03, 4, 8);
             const earMaterial = new THREE.MeshStandardMaterial({ color: 0xffcc99 });
+            this.avatarMaterials.push(earMaterial);
             
             const leftEar = new THREE.Mesh(earGeometry, earMaterial);
             leftEar.position.set(0.15, 0, 0);
@@ -119,7 +129,9 @@ export class Player {
         const rightController = new RifleModel();
         this.controllers.push(rightController);
         this.mesh.add(rightController);
+        this.rifle = rightController;
 
+        this.applyTint();
         this.engine.scene.add(this.mesh);
     }
 
@@ -213,6 +225,12 @@ export class Player {
                 // Update orbit controls target
                 this.engine.controls.target.copy(this.mesh.position);
             }
+        } else {
+            this.updateInterpolation();
+            if (this.nameLabel) {
+                this.nameLabel.position.copy(this.headGroup.position);
+                this.nameLabel.position.y += 0.35;
+            }
         }
 
         // Apply friction
@@ -242,45 +260,68 @@ export class Player {
 
     updateFromNetwork(data) {
         if (!this.mesh) return;
-        
-        if (data.position) {
-            // Update base position
-            const targetPosition = new THREE.Vector3().fromArray(data.position);
-            this.mesh.position.copy(targetPosition);
+
+        const pose = {
+            position: data.position ? new THREE.Vector3().fromArray(data.position) : null,
+            headPosition: data.headPosition ? new THREE.Vector3().fromArray(data.headPosition) : null,
+            // Binary poses carry a quaternion; older JSON state carries Euler angles
+            headQuaternion: data.headQuaternion ? new THREE.Quaternion().fromArray(data.headQuaternion) :
+                data.headRotation ? new THREE.Quaternion().setFromEuler(
+                    new THREE.Euler(
+                        data.headRotation[0],
+                        data.headRotation[1],
+                        data.headRotation[2]
+                    )
+                ) : null,
+            controllers: (data.controllers || []).map(controllerData => ({
+                position: new THREE.Vector3().fromArray(controllerData.position),
+                quaternion: new THREE.Quaternion().fromArray(controllerData.rotation)
+            }))
+        };
+
+        if (data.time === undefined || !this.snapshotBuffer) {
+            // Untimed state (e.g. the player list on join) is applied as-is
+            this.applyPose(pose, pose, 0);
+            return;
         }
-        
-        if (data.headPosition) {
-            // Update head position directly from camera position
-            this.headGroup.position.fromArray(data.headPosition);
+
+        this.snapshotBuffer.push(data.time, pose, this.engine.networkManager.getServerTime());
+    }
+
+    updateInterpolation() {
+        const sample = this.snapshotBuffer.sample(this.engine.networkManager.getServerTime());
+        if (sample) {
+            this.applyPose(sample.from.state, sample.to.state, sample.alpha);
         }
+    }
 
-        if (data.headRotation) {
-            // Convert Euler array to Quaternion for smoother rotation
-            const quaternion = new THREE.Quaternion().setFromEuler(
-                new THREE.Euler(
-                    data.headRotation[0],
-                    data.headRotation[1],
-                    data.headRotation[2]
-                )
-            );
-            this.headGroup.quaternion.copy(quaternion);
+    applyPose(from, to, alpha) {
+        // Positions may extrapolate (alpha > 1); rotations hold at the newest pose
+        const rotationAlpha = Math.min(alpha, 1);
+
+        if (from.position && to.position) {
+            this.mesh.position.lerpVectors(from.position, to.position, alpha);
         }
 
-        if (data.controllers) {
-            data.controllers.forEach((controllerData, index) => {
-                if (this.controllers[index]) {
-                    const targetPos = new THREE.Vector3().fromArray(controllerData.position);
-                    const targetRot = new THREE.Quaternion().fromArray(controllerData.rotation);
-                    
-                    this.controllers[index].position.lerp(targetPos, 0.3);
-                    this.controllers[index].quaternion.slerp(targetRot, 0.3);
-                }
-            });
+        if (from.headPosition && to.headPosition) {
+            this.headGroup.position.lerpVectors(from.headPosition, to.headPosition, alpha);
+        }
+
+        if (from.headQuaternion && to.headQuaternion) {
+            this.headGroup.quaternion.slerpQuaternions(from.headQuaternion, to.headQuaternion, rotationAlpha);
         }
+
+        to.controllers.forEach((toController, index) => {
+            const fromController = from.controllers[index] || toController;
+            if (this.controllers[index]) {
+                this.controllers[index].position.lerpVectors(fromController.position, toController.position, alpha);
+                this.controllers[index].quaternion.slerpQuaternions(fromController.quaternion, toController.quaternion, rotationAlpha);
+            }
+        });
     }
 
     getNetworkUpdate() {
-        let headRotation;
+        let headQuaternion;
         if (this.isLocal && this.engine.renderer.xr.isPresenting) {
             // For VR mode, combine camera rig and camera rotations
             const camera = this.engine.renderer.xr.getCamera();
@@ -290,22 +331,16 @@ export class Player {
             camera.getWorldQuaternion(cameraQuat);
             this.engine.cameraRig.getWorldQuaternion(rigQuat);
             
-            const combinedQuat = rigQuat.multiply(cameraQuat);
-            const euler = new THREE.Euler().setFromQuaternion(combinedQuat);
-            headRotation = [euler.x, euler.y, euler.z];
+            headQuaternion = rigQuat.multiply(cameraQuat).toArray();
         } else {
             // For non-VR mode or network players
-            headRotation = [
-                this.headGroup.rotation.x,
-                this.headGroup.rotation.y,
-                this.headGroup.rotation.z
-            ];
+            headQuaternion = this.headGroup.quaternion.toArray();
         }
 
         const update = {
             position: this.mesh.position.toArray(),
             headPosition: this.isLocal ? this.engine.camera.position.toArray() : this.headGroup.position.toArray(),
-            headRotation: headRotation,
+            headQuaternion: headQuaternion,
             controllers: this.controllers.map(controller => ({
 
                 position: controller.position.toArray(),
@@ -316,6 +351,57 @@ export class Player {
         return update;
     }
 
+    // In team mode heads and rifles wear the team colour so sides are easy to tell apart
+    applyTint() {
+        const team = getTeam(this.profile?.team);
+        const color = team?.color ?? this.profile?.color;
+        if (color) {
+            this.avatarMaterials.forEach(material => material.color.set(color));
+        }
+        this.rifle.setTint(team?.color ?? null);
+    }
+
+    setProfile(profile) {
+        this.profile = profile;
+        this.applyTint();
+        if (!this.isLocal) {
+            this.updateNameLabel();
+        }
+    }
+
+    updateNameLabel() {
+        if (this.nameLabel) {
+            this.mesh.remove(this.nameLabel);
+            this.nameLabel.material.map.dispose();
+            this.nameLabel.material.dispose();
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 128;
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.strokeStyle = this.profile.color;
+        context.lineWidth = 8;
+        context.strokeRect(4, 4, canvas.width - 8, canvas.height - 8);
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 64px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(this.profile.name, canvas.width / 2, canvas.height / 2, canvas.width - 32);
+
+        // Sprites always face the camera
+        this.nameLabel = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true
+        }));
+        this.nameLabel.scale.set(0.6, 0.15, 1);
+        this.nameLabel.position.copy(this.headGroup.position);
+        this.nameLabel.position.y += 0.35;
+        this.mesh.add(this.nameLabel);
+    }
+
     cleanup() {
         this.engine.scene.remove(this.mesh);
     }
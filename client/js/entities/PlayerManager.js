@@ -1,10 +1,12 @@
 import { Player } from './Player.js';
+import { getTeam } from '../../../shared/teams.js';
 
 export class PlayerManager {
     constructor(engine) {
         this.engine = engine;
         this.players = new Map();
         this.localPlayer = null;
+        this.profiles = new Map(); // id -> { name, color, team? } as assigned by the server
     }
 
     createLocalPlayer() {
@@ -14,10 +16,20 @@ export class PlayerManager {
         return this.localPlayer;
     }
 
+    // Spectators have no avatar of their own
+    removeLocalPlayer() {
+        if (!this.localPlayer) return;
+        this.removePlayer(this.localPlayer.id);
+        this.localPlayer = null;
+    }
+
     addPlayer(id) {
         if (!this.players.has(id)) {
             const player = new Player(this.engine, id, false);
             this.players.set(id, player);
+            if (this.profiles.has(id)) {
+                player.setProfile(this.profiles.get(id));
+            }
             return player;
         }
         return this.players.get(id);
@@ -31,6 +43,34 @@ export class PlayerManager {
         }
     }
 
+    setProfile(id, profile) {
+        if (!profile) return;
+        this.profiles.set(id, profile);
+        this.players.get(id)?.setProfile(profile);
+        this.engine.scoreManager.refreshNames();
+        this.engine.voiceManager?.updatePeerIndicators();
+    }
+
+    hydrateProfiles(profiles) {
+        profiles.forEach(({ id, ...profile }) => this.profiles.set(id, profile));
+        this.players.forEach((player, id) => {
+            if (this.profiles.has(id)) {
+                player.setProfile(this.profiles.get(id));
+            }
+        });
+        this.engine.scoreManager.refreshNames();
+    }
+
+    // Falls back to the id for players we never got a profile for
+    getDisplayName(id) {
+        return this.profiles.get(id)?.name || `Player ${id}`;
+    }
+
+    // The player's team in team mode, otherwise null
+    getTeam(id) {
+        return getTeam(this.profiles.get(id)?.team);
+    }
+
     updatePlayer(id, data) {
         const player = this.players.get(id);
         if (player) {
@@ -43,10 +83,5 @@ export class PlayerManager {
         for (const player of this.players.values()) {
             player.update(delta, frame);
         }
-
-        // Send local player update to network
-        if (this.localPlayer && this.engine.networkManager) {
-            this.engine.networkManager.sendPlayerUpdate();
-        }
     }
 }
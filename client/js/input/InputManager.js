@@ -337,12 +337,6 @@ export class InputManager {
     }
 
     handlePCShoot() {
-        const now = Date.now();
-        if (now - this.lastMouseClick < this.mouseClickCooldown) {
-            return; // Still in cooldown
-        }
-        this.lastMouseClick = now;
-
         // Create bullet from camera position and direction
         const position = new THREE.Vector3();
         const direction = new THREE.Vector3(0, 0, -1);
@@ -355,9 +349,9 @@ export class InputManager {
         const spawnOffset = direction.clone().multiplyScalar(0.5);
         position.add(spawnOffset);
         
-        // Create bullet through BulletManager
+        // Fire through BulletManager, which applies the weapon's fire rate and magazine
         if (this.engine.bulletManager) {
-            this.engine.bulletManager.createBullet(position, direction);
+            this.engine.bulletManager.fireWeapon(position, direction);
         }
     }
 
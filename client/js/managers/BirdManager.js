@@ -1,6 +1,10 @@
 import * as THREE from 'three';
 import { HolographicBall } from '../entities/HolographicBall.js';
 import AudioManager from './AudioManager.js';
+import { SPAWN_INTERVAL, getWave, getTargetProperties } from '../../../shared/waves.js';
+import { CourseSpawner } from './CourseSpawner.js';
+import { SPAWN_INTERVAL as OWNED_SPAWN_INTERVAL, getSideBounds } from '../../../shared/elimination.js';
+import { randomMovement } from '../../../shared/movement.js';
 
 export class BirdManager {
     constructor(engine) {
@@ -12,6 +16,17 @@ export class BirdManager {
         this.maxBirds = 6; // Maximum number of birds allowed
         this.isSpawning = false;
 
+        // Wave mode: the server's waveState, and how many of the wave's targets we've spawned as host
+        this.waveState = null;
+        this.waveSpawned = 0;
+
+        // Time-attack mode: targets come from the room's course instead
+        this.courseSpawner = new CourseSpawner(this);
+
+        // Elimination mode: the server's eliminationState, and how many targets we've spawned for each player as host
+        this.eliminationState = null;
+        this.ownedSpawned = new Map(); // player id -> targets spawned
+
         // Boundary for spawning within holographic room (5x3x3 meters, 2 meters above floor)
         const margin = 0.2; // 20cm margin from walls
         this.spawnBoundary = {
@@ -37,7 +52,13 @@ export class BirdManager {
         const currentTime = Date.now();
 
         // Only host spawns birds
-        if (this.engine.networkManager && this.engine.networkManager.isHost) {
+        if (this.engine.networkManager && this.engine.networkManager.isHost && this.courseSpawner.active) {
+            this.courseSpawner.update(this.engine.networkManager.getServerTime(), this.engine.uiManager.gameStartTime);
+        } else if (this.engine.networkManager && this.engine.networkManager.isHost && this.waveState) {
+            this.spawnWaveTargets(currentTime);
+        } else if (this.engine.networkManager && this.engine.networkManager.isHost && this.eliminationState) {
+            this.spawnOwnedTargets(currentTime);
+        } else if (this.engine.networkManager && this.engine.networkManager.isHost) {
             // Only spawn if we're under the bird limit
             if (currentTime - this.lastSpawnTime > this.spawnInterval && this.birds.size < this.maxBirds) {
                 console.debug('[BIRDMANAGER] Host spawning new birds. Current count:', this.birds.size);
@@ -81,18 +102,139 @@ export class BirdManager {
         }
     }
 
-    spawnBird() {
+    // Wave mode: release the current wave's targets one at a time
+    spawnWaveTargets(currentTime) {
+        const state = this.waveState;
+        if (state.status !== 'active' || this.waveSpawned >= state.count) return;
+        if (currentTime - this.lastSpawnTime < SPAWN_INTERVAL) return;
+
+        // The server hands out the same properties for this index, so ours match
+        const properties = getTargetProperties(getWave(state.wave), this.waveSpawned++);
+        this.spawnBird(properties);
+        this.lastSpawnTime = currentTime;
+    }
+
+    // state: the server's waveState, or null outside wave mode
+    handleWaveState(state) {
+        if (!state || state.status === 'idle') {
+            this.waveState = null;
+            return;
+        }
+        if (!this.waveState || state.wave !== this.waveState.wave) {
+            this.waveSpawned = state.spawned;
+        } else {
+            // Our own spawns may not have reached the server yet
+            this.waveSpawned = Math.max(this.waveSpawned, state.spawned);
+        }
+        this.waveState = state;
+    }
+
+    // Elimination mode: hand out every player's targets, one at a time, round the room
+    spawnOwnedTargets(currentTime) {
+        const state = this.eliminationState;
+        if (state.status !== 'active') return;
+        if (currentTime - this.lastSpawnTime < OWNED_SPAWN_INTERVAL) return;
+
+        const player = state.players
+            .filter(candidate => !candidate.eliminated)
+            .sort((a, b) => (this.ownedSpawned.get(a.id) || 0) - (this.ownedSpawned.get(b.id) || 0))[0];
+        if (!player || (this.ownedSpawned.get(player.id) || 0) >= state.targetsPerPlayer) return;
+
+        this.ownedSpawned.set(player.id, (this.ownedSpawned.get(player.id) || 0) + 1);
+        this.spawnOwnedTarget(player.id, getSideBounds(player.slot, state.players.length));
+        this.lastSpawnTime = currentTime;
+    }
+
+    // state: the server's eliminationState, or null outside elimination mode
+    handleEliminationState(state) {
+        if (!state || state.status === 'idle') {
+            this.eliminationState = null;
+            this.ownedSpawned.clear();
+            return;
+        }
+        // Our own spawns may not have reached the server yet
+        state.players.forEach(player => {
+            this.ownedSpawned.set(player.id, Math.max(this.ownedSpawned.get(player.id) || 0, player.spawned));
+        });
+        this.eliminationState = state;
+    }
+
+    // Owned targets from the network take their owner's colour
+    applyOwner(ball) {
+        if (ball.owner === null) return;
+        ball.setOwner(ball.owner, this.engine.playerManager.profiles.get(ball.owner)?.color);
+    }
+
+    // settings: the room's settings, or null once we've left it
+    handleRoomSettings(settings) {
+        this.courseSpawner.load(settings?.gameMode === 'timeAttack' ? settings.courseId : null);
+    }
+
+    handleCourseState(state) {
+        if (state) {
+            this.courseSpawner.handleCourseState(state);
+        }
+    }
+
+    // Course targets from the network follow their path once we have the course
+    applyCourseTarget(ball) {
+        if (ball.courseIndex === null || ball.courseTarget) return;
+        const target = this.courseSpawner.getTarget(ball.courseIndex);
+        if (target) {
+            ball.setCourseTarget(target);
+        }
+    }
+
+    // target: a resolved course target; it appears exactly when and where the course says
+    spawnCourseTarget(target, matchStartTime) {
+        const ball = new HolographicBall(new THREE.Vector3().fromArray(target.position));
+        ball.birdManager = this;
+        ball.spawnTime = matchStartTime + target.delay;
+        ball.setCourseTarget(target);
+        return this.addSpawnedBall(ball);
+    }
+
+    // properties: { type, speed, health } for a wave target; classic targets get a
+    // random movement behaviour instead
+    spawnBird(properties = null) {
         // Generate random position within the holographic room
         const x = this.spawnBoundary.minX + Math.random() * (this.spawnBoundary.maxX - this.spawnBoundary.minX);
         const y = this.spawnBoundary.minY + Math.random() * (this.spawnBoundary.maxY - this.spawnBoundary.minY);
         const z = this.spawnBoundary.minZ + Math.random() * (this.spawnBoundary.maxZ - this.spawnBoundary.minZ);
         const position = new THREE.Vector3(x, y, z);
 
-        // Create holographic ball (direction is not used for movement anymore)
+        // Wave targets fly off level in a random direction
         const direction = new THREE.Vector3(0, 0, 0);
+        if (properties) {
+            const angle = Math.random() * Math.PI * 2;
+            direction.set(Math.cos(angle), 0, Math.sin(angle));
+        }
         const ball = new HolographicBall(position, direction);
         ball.birdManager = this; // Important: Set the manager reference for networking
+        ball.spawnTime = ball.now();
+        if (properties) {
+            ball.setWaveProperties(properties);
+        } else {
+            ball.setMovement(randomMovement());
+        }
+        return this.addSpawnedBall(ball);
+    }
 
+    // A standing target for `owner` somewhere within bounds, their side of the room
+    spawnOwnedTarget(owner, bounds) {
+        const position = new THREE.Vector3(
+            bounds.minX + Math.random() * (bounds.maxX - bounds.minX),
+            bounds.minY + Math.random() * (bounds.maxY - bounds.minY),
+            bounds.minZ + Math.random() * (bounds.maxZ - bounds.minZ)
+        );
+        const ball = new HolographicBall(position, new THREE.Vector3(0, 0, 0));
+        ball.birdManager = this;
+        ball.spawnTime = ball.now();
+        ball.setOwner(owner, this.engine.playerManager.profiles.get(owner)?.color);
+        return this.addSpawnedBall(ball);
+    }
+
+    addSpawnedBall(ball) {
         // Generate unique ID
         const id = crypto.randomUUID();
         ball.uuid = id; // Set the UUID directly
@@ -105,11 +247,7 @@ export class BirdManager {
         if (this.engine.networkManager && this.engine.networkManager.isHost) {
             this.engine.networkManager.send({
                 type: 'birdSpawned',
-                data: {
-                    id: id,
-                    position: position.toArray(),
-                    direction: direction.toArray()
-                }
+                data: ball.getNetworkState()
             });
         }
 
@@ -142,7 +280,13 @@ export class BirdManager {
             const direction = new THREE.Vector3().fromArray(data.direction);
 
             const ball = new HolographicBall(position, direction);
+            ball.birdManager = this;
             ball.uuid = data.id;
+            if (data.spawnTime !== undefined) {
+                ball.applyNetworkState(data);
+            }
+            this.applyCourseTarget(ball);
+            this.applyOwner(ball);
             this.birds.set(data.id, ball);
             this.engine.scene.add(ball);
 
@@ -155,6 +299,37 @@ export class BirdManager {
         }
     }
 
+    hydrateFromSnapshot(targets) {
+        // Drop anything the server no longer has, without networking the removal
+        const live = new Set(targets.map(state => state.id));
+        for (const [id, bird] of Array.from(this.birds)) {
+            if (!live.has(id)) {
+                this.engine.scene.remove(bird);
+                this.birds.delete(id);
+            }
+        }
+
+        targets.forEach(state => {
+            const bird = this.birds.get(state.id);
+            if (bird) {
+                bird.applyNetworkState(state);
+                this.applyOwner(bird);
+            } else {
+                this.handleNetworkBirdSpawn(state);
+            }
+        });
+    }
+
+    handleHostMigration() {
+        // Keep the birds we already mirror from the previous host and just resume
+        // the spawn schedule; the match timer is owned by the server
+        console.debug(`[BIRDMANAGER] Taking over ${this.birds.size} birds as new host`);
+        for (const bird of this.birds.values()) {
+            bird.birdManager = this;
+        }
+        this.lastSpawnTime = Date.now();
+    }
+
     handleNetworkBirdRemoved(data) {
         console.debug('[DEBUG] Handling network bird removal:', data);
 
@@ -162,60 +337,37 @@ export class BirdManager {
         this.removeBird(data.id);
     }
 
-    handleBulletCollision(bullet) {
-        for (const [id, bird] of this.birds) {
-            // Get bullet position
-            const bulletPos = bullet.position;
-            
-            // Check if bullet is close to the ball (sphere collision)
-            const distance = bulletPos.distanceTo(bird.position);
-            if (distance < 0.2) { // 20cm collision radius
-                // Apply damage and check if bird is destroyed
-                const destroyed = bird.takeDamage(25, bulletPos);
-                
-                if (destroyed) {
-                    // Play destruction sound
-                    this.audioManager.playBirdDestruction();
-
-                    // Create hit effect at bullet position
-                    this.createHitEffect(bulletPos);
-
-                    // Create death effect at bird position
-                    this.createDeathEffect(bird.position);
-
-                    // Trigger haptic feedback
-                    if (this.engine.renderer.xr.isPresenting) {
-                        const session = this.engine.renderer.xr.getSession();
-                        for (const source of session.inputSources) {
-                            if (source.gamepad && source.gamepad.hapticActuators) {
-                                source.gamepad.hapticActuators[0].pulse(1.0, 100);
-                            }
-                        }
-                    }
-
-                    // Increment score if we're the host
-                    if (this.engine.networkManager && this.engine.networkManager.isHost) {
-                        const shooterId = bullet.shooterId;
-                        if (shooterId) {
-                            this.engine.scoreManager.updateScore(shooterId, 100);
-                        }
-                    }
+    // Every shot the server recorded during a match: other players' from bulletSpawned,
+    // ours from shotAccepted. Evasive targets dodge it. time is the server's shot time.
+    handleShot(origin, direction, time) {
+        if (!this.isSpawning) return;
+        const shot = { time, origin: origin.slice(), direction: new THREE.Vector3().fromArray(direction).normalize().toArray() };
+        for (const bird of this.birds.values()) {
+            bird.addShot(shot);
+        }
+    }
 
-                    // Network the kill
-                    if (this.engine.networkManager) {
-                        this.engine.networkManager.send({
-                            type: 'birdKilled',
-                            data: {
-                                id: id,
-                                position: bird.position.toArray(),
-                                shooterId: bullet.shooterId
-                            }
-                        });
-                    }
+    // The server's shot list for a target we spawned, which can differ from ours
+    // for shots fired while our spawn message was on its way
+    handleBirdShots(data) {
+        const bird = this.birds.get(data.id);
+        if (bird) {
+            bird.shots = data.shots.map(shot => ({ ...shot }));
+        }
+    }
 
-                    // Remove the bird
-                    this.removeBird(id);
-                }
+    handleBulletCollision(bullet) {
+        // Only detect the visual impact here; the server resolves damage and
+        // broadcasts the authoritative birdKilled to everyone, shooter included
+        const path = new THREE.Line3(bullet.previousPosition, bullet.position);
+        const closestPoint = new THREE.Vector3();
+
+        for (const bird of this.birds.values()) {
+            // Shots pass through the shooter's own targets, as on the server
+            if (bird.owner !== null && bird.owner === bullet.shooterId) continue;
+            path.closestPointToPoint(bird.position, true, closestPoint);
+            if (closestPoint.distanceTo(bird.position) < 0.2) { // 20cm collision radius
+                this.createHitEffect(closestPoint);
                 return true; // Bullet hit something
             }
         }
@@ -223,12 +375,16 @@ export class BirdManager {
     }
 
     handleBirdKilled(data) {
+        // Credit the shooter the points the server awarded, even if we never saw the target
+        if (data.shooterId && this.engine.scoreManager) {
+            this.engine.scoreManager.updateScore(data.shooterId, data.award.points);
+            if (data.shooterId === this.engine.networkManager?.localPlayerId) {
+                this.engine.scoreManager.showAward(data.award);
+            }
+        }
+
         const bird = this.birds.get(data.id);
         if (bird) {
-            // Update score for the shooter if we're receiving this from the network
-            if (data.shooterId && this.engine.scoreManager) {
-                this.engine.scoreManager.updateScore(data.shooterId, 10);
-            }
 
             // Play bird destruction sound
             this.audioManager.playBirdDestruction();
@@ -237,6 +393,17 @@ export class BirdManager {
             const position = new THREE.Vector3().fromArray(data.position);
             this.createDeathEffect(position);
 
+            // Trigger haptic feedback for the shooter
+            if (data.shooterId === this.engine.networkManager?.localPlayerId &&
+                this.engine.renderer.xr.isPresenting) {
+                const session = this.engine.renderer.xr.getSession();
+                for (const source of session.inputSources) {
+                    if (source.gamepad && source.gamepad.hapticActuators) {
+                        source.gamepad.hapticActuators[0].pulse(1.0, 100);
+                    }
+                }
+            }
+
             // Remove the bird
             this.engine.scene.remove(bird);
             this.birds.delete(data.id);
@@ -1,6 +1,7 @@
 import { Bullet } from '../entities/Bullet.js';
 import * as THREE from 'three';
 import AudioManager from './AudioManager.js';  // Changed to default import
+import { WeaponState } from '../../../shared/weapons.js';
 
 export class BulletManager {
     constructor(engine) {
@@ -22,9 +23,12 @@ export class BulletManager {
 
         // Initialize audio manager
         this.audioManager = new AudioManager();
+
+        // Same weapon rules the server checks each shot against
+        this.weapon = new WeaponState();
     }
 
-    update() {
+    update(delta) {
         // Handle VR input if in VR mode
         if (this.engine.renderer.xr.isPresenting) {
             this.handleVRInput();
@@ -33,12 +37,12 @@ export class BulletManager {
         // Update all bullets regardless of VR mode
         for (const bullet of this.bullets) {
             // Update bullet using its update method
-            if (bullet.update()) {
+            if (bullet.update(delta)) {
                 this.removeBullet(bullet);
                 continue;
             }
 
-            // Check if bullet hit a bird
+            // Check if bullet visibly hit a bird (the server decides kills)
             if (this.engine.birdManager && this.engine.birdManager.handleBulletCollision(bullet)) {
                 this.removeBullet(bullet);
                 continue;
@@ -79,13 +83,24 @@ export class BulletManager {
             const triggerButton = gamepad.buttons[this.QUEST3_MAPPING.buttons.trigger];
 
             if (triggerButton.pressed && !this.lastTriggerState[i]) {
-                this.createBullet(controller, null, 0.3); // Set bullet speed to 0.3
+                this.fireWeapon(controller);
             }
             this.lastTriggerState[i] = triggerButton.pressed;
         });
     }
 
-    createBullet(controllerOrPosition, optionalDirection, speed = 1.0) {
+    // Fires if the weapon is ready; both VR triggers and the mouse go through here
+    fireWeapon(controllerOrPosition, optionalDirection) {
+        if (this.engine.networkManager.isSpectator) return null;
+        const refusal = this.weapon.fire(this.engine.networkManager.getServerTime());
+        if (refusal) {
+            console.debug('[WEAPON] Cannot fire:', refusal);
+            return null;
+        }
+        return this.createBullet(controllerOrPosition, optionalDirection, this.weapon.weapon.bulletSpeed);
+    }
+
+    createBullet(controllerOrPosition, optionalDirection, speed = this.weapon.weapon.bulletSpeed) {
         let position, direction;
 
         if (controllerOrPosition instanceof THREE.Vector3) {
@@ -120,6 +135,7 @@ export class BulletManager {
                     position: position.toArray(),
                     direction: direction.toArray(),
                     speed: speed,
+                    time: this.engine.networkManager.getServerTime(),
                     shooterId: bullet.shooterId,
                     playSound: true // Add flag to indicate sound should be played
                 }
@@ -143,6 +159,9 @@ export class BulletManager {
         bullet.scale.set(0.1, 0.1, 0.1);
         this.engine.scene.add(bullet);
         this.bullets.add(bullet);
+        if (data.recorded) {
+            this.engine.birdManager?.handleShot(data.position, data.direction, data.time);
+        }
 
         // Play shooting sound for network bullets
         if (data.playSound) {
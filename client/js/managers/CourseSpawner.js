@@ -0,0 +1,58 @@
+import { resolveCourse } from '../../../shared/courses.js';
+
+// Alternate spawner BirdManager uses in time-attack rooms: loads the room's
+// course and, on the host, releases each target when its delay comes up.
+// Every client needs the course to move targets along their paths.
+export class CourseSpawner {
+    constructor(birdManager) {
+        this.birdManager = birdManager;
+        this.courseId = null;
+        this.course = null; // resolveCourse() result once loaded
+        this.nextIndex = 0; // Next target to spawn, as far as we know
+    }
+
+    async load(courseId) {
+        if (courseId === this.courseId) return;
+        this.courseId = courseId;
+        this.course = null;
+        this.nextIndex = 0;
+        if (!courseId) return;
+
+        try {
+            const response = await fetch(`/api/courses/${encodeURIComponent(courseId)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const course = resolveCourse(await response.json());
+            if (this.courseId === courseId) {
+                this.course = course;
+                console.debug('[COURSE] Loaded course', course.id, 'with', course.targets.length, 'targets');
+                // Targets that arrived before the course did
+                this.birdManager.birds.forEach(ball => this.birdManager.applyCourseTarget(ball));
+            }
+        } catch (error) {
+            console.error('[COURSE] Failed to load course:', error);
+        }
+    }
+
+    get active() {
+        return this.courseId !== null;
+    }
+
+    // Host only: spawn every target whose time has come
+    update(serverTime, matchStartTime) {
+        if (!this.course || !matchStartTime) return;
+        const targets = this.course.targets;
+        while (this.nextIndex < targets.length && serverTime >= matchStartTime + targets[this.nextIndex].delay) {
+            this.birdManager.spawnCourseTarget(targets[this.nextIndex], matchStartTime);
+            this.nextIndex++;
+        }
+    }
+
+    // The server's courseState; keeps a new host from spawning targets twice
+    handleCourseState(state) {
+        this.nextIndex = state.startTime === null ? 0 : Math.max(this.nextIndex, state.spawned);
+    }
+
+    getTarget(index) {
+        return this.course?.targets[index] ?? null;
+    }
+}
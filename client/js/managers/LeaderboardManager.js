@@ -0,0 +1,204 @@
+// All-time, weekly and per-course leaderboards from the server's match history, shown in the session UI
+export class LeaderboardManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.period = 'all'; // 'all', 'weekly' or 'course'
+        this.courseId = null; // Course shown on the course tab
+        this.container = document.getElementById('leaderboard');
+        this.setupUI();
+    }
+
+    setupUI() {
+        if (!this.container) return;
+
+        const tabs = document.createElement('div');
+        tabs.className = 'leaderboard-tabs';
+        this.tabButtons = {
+            all: this.createTab('All Time', 'all'),
+            weekly: this.createTab('This Week', 'weekly'),
+            course: this.createTab('Courses', 'course')
+        };
+        tabs.append(this.tabButtons.all, this.tabButtons.weekly, this.tabButtons.course);
+
+        // Course picker for the course tab, filled from the server's course list
+        this.courseSelect = document.createElement('select');
+        this.courseSelect.className = 'leaderboard-course';
+        this.courseSelect.addEventListener('change', () => {
+            this.courseId = this.courseSelect.value;
+            this.refresh();
+        });
+        tabs.appendChild(this.courseSelect);
+
+        this.content = document.createElement('div');
+        this.content.className = 'leaderboard-content';
+
+        this.container.append(tabs, this.content);
+        this.refresh();
+    }
+
+    createTab(label, period) {
+        const button = document.createElement('button');
+        button.className = 'button';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            this.period = period;
+            this.refresh();
+        });
+        return button;
+    }
+
+    async refresh() {
+        if (!this.container) return;
+        Object.entries(this.tabButtons).forEach(([period, button]) => {
+            button.classList.toggle('active', period === this.period);
+        });
+
+        this.courseSelect.style.display = this.period === 'course' ? '' : 'none';
+        if (this.period === 'course') {
+            this.refreshCourse();
+            return;
+        }
+
+        try {
+            const url = this.period === 'weekly' ? '/api/leaderboard/weekly' : '/api/leaderboard';
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { players } = await response.json();
+            this.renderLeaderboard(players);
+        } catch (error) {
+            console.error('[LEADERBOARD] Failed to load leaderboard:', error);
+            this.content.textContent = 'Leaderboard unavailable';
+        }
+    }
+
+    renderLeaderboard(players) {
+        this.content.textContent = '';
+        if (players.length === 0) {
+            this.content.textContent = 'No matches played yet';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.appendChild(this.createRow('th', ['#', 'Player', 'Score', 'Matches', 'Accuracy']));
+        players.forEach((player, index) => {
+            const row = this.createRow('td', [
+                index + 1,
+                player.name,
+                player.score,
+                player.matches,
+                formatAccuracy(player.accuracy)
+            ]);
+            // Names open the player's match history
+            const nameCell = row.children[1];
+            nameCell.className = 'leaderboard-player';
+            nameCell.addEventListener('click', () => this.showPlayer(player.name));
+            table.appendChild(row);
+        });
+        this.content.appendChild(table);
+    }
+
+    async refreshCourse() {
+        try {
+            if (this.courseSelect.options.length === 0) {
+                const response = await fetch('/api/courses');
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const { courses } = await response.json();
+                courses.forEach(course => {
+                    const option = document.createElement('option');
+                    option.value = course.id;
+                    option.textContent = course.name;
+                    this.courseSelect.appendChild(option);
+                });
+                this.courseId = this.courseId ?? courses[0]?.id ?? null;
+                this.courseSelect.value = this.courseId ?? '';
+            }
+            if (!this.courseId) {
+                this.content.textContent = 'No courses installed';
+                return;
+            }
+
+            const response = await fetch(`/api/leaderboard/courses/${encodeURIComponent(this.courseId)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { runs } = await response.json();
+            this.renderCourse(runs);
+        } catch (error) {
+            console.error('[LEADERBOARD] Failed to load course leaderboard:', error);
+            this.content.textContent = 'Course leaderboard unavailable';
+        }
+    }
+
+    // Best run per player: score first, then the faster completion
+    renderCourse(runs) {
+        this.content.textContent = '';
+        if (runs.length === 0) {
+            this.content.textContent = 'No runs of this course yet';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.appendChild(this.createRow('th', ['#', 'Player', 'Score', 'Time', 'Accuracy']));
+        runs.forEach((run, index) => {
+            table.appendChild(this.createRow('td', [
+                index + 1,
+                run.name,
+                run.score,
+                run.completionTime === null ? '-' : `${(run.completionTime / 1000).toFixed(1)}s`,
+                formatAccuracy(run.accuracy)
+            ]));
+        });
+        this.content.appendChild(table);
+    }
+
+    async showPlayer(name) {
+        try {
+            const response = await fetch(`/api/players/${encodeURIComponent(name)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.renderPlayer(await response.json());
+        } catch (error) {
+            console.error('[LEADERBOARD] Failed to load player:', error);
+            this.content.textContent = 'Player history unavailable';
+        }
+    }
+
+    renderPlayer(player) {
+        this.content.textContent = '';
+
+        const back = document.createElement('button');
+        back.className = 'button';
+        back.textContent = 'Back';
+        back.addEventListener('click', () => this.refresh());
+
+        const summary = document.createElement('div');
+        summary.className = 'leaderboard-summary';
+        summary.textContent = `${player.name}: ${player.score} points over ${player.matches} matches, ` +
+            `best ${player.bestScore}, ${formatAccuracy(player.accuracy)} accuracy`;
+
+        const table = document.createElement('table');
+        table.appendChild(this.createRow('th', ['Date', 'Room', 'Score', 'Kills', 'Accuracy']));
+        player.recent.forEach(match => {
+            table.appendChild(this.createRow('td', [
+                new Date(match.endedAt).toLocaleDateString(),
+                match.roomName,
+                match.score,
+                match.kills,
+                formatAccuracy(match.accuracy)
+            ]));
+        });
+
+        this.content.append(back, summary, table);
+    }
+
+    createRow(cellTag, values) {
+        const row = document.createElement('tr');
+        values.forEach(value => {
+            const cell = document.createElement(cellTag);
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+}
+
+function formatAccuracy(accuracy) {
+    return `${Math.round(accuracy * 100)}%`;
+}
@@ -1,10 +1,13 @@
 import { VRScoreUI } from '../ui/VRScoreUI.js';
+import { describeAward } from '../../../shared/scoring.js';
+import { getTeamTotals } from '../../../shared/teams.js';
+import { RESULT_COLUMNS, formatResultRow, formatResultsSummary, formatWaveState, formatCourseState, formatEliminationState } from '../utils/ResultsFormat.js';
 
 class ScoreManager {
     constructor(engine) {
         this.engine = engine;
         this.scores = new Map();
-        this.pointsPerHit = 10;
+        this.awardTimer = null;
         
         // Create both 2D and VR UIs
         this.createScoreUI();
@@ -50,6 +53,39 @@ class ScoreManager {
         `;
         scoreContainer.appendChild(title);
 
+        // Team totals, only shown in team mode
+        this.teamTotals = document.createElement('div');
+        this.teamTotals.style.cssText = `
+            display: none;
+            justify-content: space-around;
+            margin-bottom: 10px;
+            font-size: 18px;
+            font-weight: bold;
+        `;
+        scoreContainer.appendChild(this.teamTotals);
+
+        // Wave, lives and targets left, only shown in wave mode
+        this.waveText = document.createElement('div');
+        this.waveText.style.cssText = `
+            display: none;
+            margin-bottom: 10px;
+            text-align: center;
+            font-size: 18px;
+            font-weight: bold;
+            color: #00ffff;
+        `;
+        scoreContainer.appendChild(this.waveText);
+
+        // Course and targets done, only shown in time-attack mode
+        this.courseText = document.createElement('div');
+        this.courseText.style.cssText = this.waveText.style.cssText;
+        scoreContainer.appendChild(this.courseText);
+
+        // Targets left per player, only shown in elimination mode
+        this.eliminationText = document.createElement('div');
+        this.eliminationText.style.cssText = this.waveText.style.cssText;
+        scoreContainer.appendChild(this.eliminationText);
+
         // Create scores list container
         this.scoresList = document.createElement('div');
         this.scoresList.style.cssText = `
@@ -58,6 +94,29 @@ class ScoreManager {
         `;
         scoreContainer.appendChild(this.scoresList);
 
+        // Points, combo and streak for our latest kill
+        this.awardText = document.createElement('div');
+        this.awardText.style.cssText = `
+            margin-top: 10px;
+            text-align: center;
+            font-size: 16px;
+            font-weight: bold;
+            color: #ffd43b;
+            min-height: 20px;
+        `;
+        scoreContainer.appendChild(this.awardText);
+
+        // Live and end-of-match stats, filled in by showResults
+        this.resultsPanel = document.createElement('div');
+        this.resultsPanel.style.cssText = `
+            display: none;
+            margin-top: 15px;
+            padding-top: 10px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 13px;
+        `;
+        scoreContainer.appendChild(this.resultsPanel);
+
         // Add to document
         document.body.appendChild(scoreContainer);
         console.debug('[DEBUG] Created score UI in browser');
@@ -92,6 +151,120 @@ class ScoreManager {
         }
     }
 
+    // award is the server's shared/scoring.js result for one of our kills
+    showAward(award) {
+        this.awardText.textContent = describeAward(award);
+        clearTimeout(this.awardTimer);
+        this.awardTimer = setTimeout(() => {
+            this.awardText.textContent = '';
+        }, 2000);
+    }
+
+    // state: the server's waveState, or null outside wave mode
+    updateWaves(state) {
+        const visible = Boolean(state) && state.status !== 'idle';
+        this.waveText.style.display = visible ? 'block' : 'none';
+        this.vrScoreUI.updateWaveCounter(visible ? state : null);
+        if (visible) {
+            this.waveText.textContent = formatWaveState(state);
+        }
+    }
+
+    // state: the server's courseState, or null outside time-attack mode
+    updateCourse(state) {
+        this.courseText.style.display = state ? 'block' : 'none';
+        this.vrScoreUI.updateCourseProgress(state);
+        if (state) {
+            this.courseText.textContent = formatCourseState(state);
+        }
+    }
+
+    // state: the server's eliminationState, or null outside elimination mode
+    updateElimination(state) {
+        const visible = Boolean(state) && state.status !== 'idle';
+        this.eliminationText.style.display = visible ? 'block' : 'none';
+        const text = visible ? formatEliminationState(state, id => this.engine.playerManager.getDisplayName(id)) : null;
+        this.vrScoreUI.updateEliminationBanner(text);
+        if (visible) {
+            this.eliminationText.textContent = text;
+        }
+    }
+
+    // Live totals per team, or null when nobody is on a team
+    getTeamTotals() {
+        const players = Array.from(this.scores, ([id, score]) => ({
+            team: this.engine.playerManager.getTeam(id)?.id,
+            score
+        }));
+        if (!players.some(player => player.team)) return null;
+        return getTeamTotals(players);
+    }
+
+    // results: the server's end-of-match table (players best score first,
+    // plus team totals and the winning team in team mode, the course run in
+    // time-attack mode and the standings in elimination mode), or just the
+    // players during the match
+    showResults(results, heading = 'MATCH RESULTS') {
+        const { players } = results;
+        this.resultsPanel.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.textContent = heading;
+        title.style.cssText = `
+            font-weight: 600;
+            letter-spacing: 2px;
+            text-align: center;
+            margin-bottom: 8px;
+        `;
+        this.resultsPanel.appendChild(title);
+
+        const summary = formatResultsSummary(results);
+        if (summary) {
+            const banner = document.createElement('div');
+            banner.textContent = `${summary.headline} (${summary.detail})`;
+            banner.style.cssText = `
+                font-size: 15px;
+                font-weight: bold;
+                text-align: center;
+                margin-bottom: 8px;
+                color: ${summary.color};
+            `;
+            this.resultsPanel.appendChild(banner);
+        }
+
+        const table = document.createElement('table');
+        table.style.cssText = `
+            width: 100%;
+            border-collapse: collapse;
+        `;
+        const rows = [RESULT_COLUMNS].concat(players.map(formatResultRow));
+        rows.forEach((values, index) => {
+            const row = document.createElement('tr');
+            const isLocalPlayer = index > 0 && players[index - 1].id === this.engine.networkManager.localPlayerId;
+            values.forEach(value => {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                cell.textContent = value;
+                cell.style.cssText = `
+                    padding: 2px 4px;
+                    text-align: right;
+                    color: ${isLocalPlayer ? '#4099ff' : index === 0 ? '#888' : '#fff'};
+                `;
+                row.appendChild(cell);
+            });
+            row.firstChild.style.textAlign = 'left';
+            table.appendChild(row);
+        });
+        this.resultsPanel.appendChild(table);
+        this.resultsPanel.style.display = 'block';
+
+        this.vrScoreUI.showResults(results, heading);
+    }
+
+    hideResults() {
+        this.resultsPanel.style.display = 'none';
+        this.vrScoreUI.hideResults();
+    }
+
     handleNetworkScoreUpdate(data) {
         const { playerId, score } = data;
         
@@ -103,6 +276,36 @@ class ScoreManager {
         this.updateScoreDisplay();
     }
 
+    hydrateFromSnapshot(scores) {
+        // Replace our view of the board with the server's
+        for (const playerId of this.scores.keys()) {
+            this.vrScoreUI.removePlayer(playerId);
+        }
+        this.scores.clear();
+        scores.forEach(({ id, score }) => this.scores.set(id, score));
+
+        this.refreshNames();
+    }
+
+    // Redraws both boards, e.g. after a player's display name arrives
+    refreshNames() {
+        this.updateScoreDisplay();
+        Array.from(this.scores.entries())
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([playerId, score], rank) => {
+                this.vrScoreUI.updatePlayerScore(playerId, score, rank);
+            });
+    }
+
+    resetScores() {
+        // Keep everyone on the board but start them from zero
+        Array.from(this.scores.keys()).forEach((playerId, rank) => {
+            this.scores.set(playerId, 0);
+            this.vrScoreUI.updatePlayerScore(playerId, 0, rank);
+        });
+        this.updateScoreDisplay();
+    }
+
     removePlayer(playerId) {
         this.scores.delete(playerId);
         this.updateScoreDisplay();
@@ -117,6 +320,8 @@ class ScoreManager {
     }
 
     updateScoreDisplay() {
+        this.updateTeamTotals();
+
         // Clear current scores
         this.scoresList.innerHTML = '';
         
@@ -128,6 +333,7 @@ class ScoreManager {
         sortedScores.forEach(([playerId, score], index) => {
             const scoreElement = document.createElement('div');
             const isLocalPlayer = this.engine.playerManager?.localPlayer?.id === playerId;
+            const team = this.engine.playerManager.getTeam(playerId);
             
             scoreElement.style.cssText = `
                 margin: 8px 0;
@@ -146,6 +352,7 @@ class ScoreManager {
                 ${index === 0 ? 'background: linear-gradient(90deg, rgba(255, 215, 0, 0.15), rgba(255, 215, 0, 0.05));' : ''}
                 ${index === 1 ? 'background: linear-gradient(90deg, rgba(192, 192, 192, 0.15), rgba(192, 192, 192, 0.05));' : ''}
                 ${index === 2 ? 'background: linear-gradient(90deg, rgba(205, 127, 50, 0.15), rgba(205, 127, 50, 0.05));' : ''}
+                ${team ? `border-left: 4px solid ${team.color};` : ''}
             `;
             
             // Create rank indicator
@@ -166,7 +373,8 @@ class ScoreManager {
                 font-weight: ${isLocalPlayer ? '600' : 'normal'};
                 color: ${isLocalPlayer ? '#4099ff' : '#fff'};
             `;
-            nameSpan.textContent = isLocalPlayer ? 'You' : `Player ${playerId}`;
+            const displayName = this.engine.playerManager.getDisplayName(playerId);
+            nameSpan.textContent = isLocalPlayer ? `${displayName} (You)` : displayName;
             
             // Create score span
             const scoreSpan = document.createElement('span');
@@ -187,6 +395,22 @@ class ScoreManager {
             this.scoresList.appendChild(scoreElement);
         });
     }
+
+    updateTeamTotals() {
+        const totals = this.getTeamTotals();
+        this.vrScoreUI.updateTeamTotals(totals);
+
+        this.teamTotals.innerHTML = '';
+        this.teamTotals.style.display = totals ? 'flex' : 'none';
+        if (!totals) return;
+
+        totals.forEach(team => {
+            const teamElement = document.createElement('span');
+            teamElement.style.color = team.color;
+            teamElement.textContent = `${team.name} ${team.score}`;
+            this.teamTotals.appendChild(teamElement);
+        });
+    }
 }
 
 export { ScoreManager };
@@ -1,7 +1,12 @@
+const PROFILE_STORAGE_KEY = 'playerProfile';
+
 export class SessionManager {
     constructor(engine) {
         this.engine = engine;
         this.currentRoom = null;
+        this.noticeBanner = null; // Created on the first server notice
+        this.noticeTimer = null;
+        this.profileKey = null; // See loadProfile
         this.setupUI();
     }
 
@@ -11,6 +16,19 @@ export class SessionManager {
         this.statusContainer = document.getElementById('status');
         this.errorContainer = document.getElementById('error');
         this.roomInput = document.getElementById('roomCode');
+        this.playerNameInput = document.getElementById('playerName');
+        this.playerColorInput = document.getElementById('playerColor');
+        this.roomNameInput = document.getElementById('roomName');
+        this.maxPlayersSelect = document.getElementById('maxPlayers');
+        this.maxSpectatorsSelect = document.getElementById('maxSpectators');
+        this.gameModeSelect = document.getElementById('gameMode');
+        this.courseSelect = document.getElementById('courseSelect');
+        this.publicCheckbox = document.getElementById('roomPublic');
+        this.hostPassphraseInput = document.getElementById('hostPassphrase');
+        this.joinPassphraseInput = document.getElementById('roomPassphrase');
+        this.inviteButton = document.getElementById('inviteButton');
+        this.takeSlotButton = document.getElementById('takeSlotButton');
+        this.roomListContainer = document.getElementById('roomList');
 
         // Style the container
         this.container.style.position = 'absolute';
@@ -31,6 +49,11 @@ export class SessionManager {
         hostButton.addEventListener('click', () => this.hostSession());
         quickJoinButton.addEventListener('click', () => this.quickJoinSession());
         joinButton.addEventListener('click', () => this.joinSession());
+        this.inviteButton.addEventListener('click', () => this.engine.networkManager.createInvite());
+        this.takeSlotButton.addEventListener('click', () => this.engine.networkManager.takeSlot());
+        this.playerNameInput.addEventListener('change', () => this.saveProfile());
+        this.playerColorInput.addEventListener('change', () => this.saveProfile());
+        this.gameModeSelect.addEventListener('change', () => this.updateCourseSelect());
 
         // Style all buttons consistently
         const buttons = this.container.getElementsByClassName('button');
@@ -61,11 +84,164 @@ export class SessionManager {
             this.roomInput.style.width = '120px';
             this.roomInput.style.marginRight = '10px';
         }
+
+        this.loadProfile();
+        this.loadCourses();
+
+        // Invite links join straight into the room; otherwise show the browser
+        if (!this.joinFromInviteLink()) {
+            this.refreshRoomList();
+        }
+    }
+
+    // The name and colour are remembered between visits, along with a random key
+    // that keeps the player's match history together whatever name they use
+    loadProfile() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+            if (saved?.name) this.playerNameInput.value = saved.name;
+            if (saved?.color) this.playerColorInput.value = saved.color;
+            if (/^[A-Za-z0-9-]{1,64}$/.test(saved?.key)) this.profileKey = saved.key;
+        } catch (error) {
+            console.warn('Ignoring saved profile:', error);
+        }
+        this.saveProfile();
+    }
+
+    saveProfile() {
+        this.profileKey = this.profileKey || crypto.randomUUID();
+        const profile = { color: this.playerColorInput.value, key: this.profileKey };
+        const name = this.playerNameInput.value.trim();
+        if (name) {
+            profile.name = name;
+        }
+
+        this.engine.networkManager.profile = profile;
+        try {
+            localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+        } catch (error) {
+            // Storage can be unavailable (e.g. private browsing); the profile still applies this visit
+        }
+    }
+
+    // Time-attack courses the server has, for the host's course picker
+    async loadCourses() {
+        try {
+            const response = await fetch('/api/courses');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { courses } = await response.json();
+            this.courseSelect.innerHTML = '';
+            courses.forEach(course => {
+                const option = document.createElement('option');
+                option.value = course.id;
+                option.textContent = `${course.name} (${course.targetCount} targets)`;
+                this.courseSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load courses:', error);
+        }
+        this.updateCourseSelect();
+    }
+
+    updateCourseSelect() {
+        this.courseSelect.style.display = this.gameModeSelect.value === 'timeAttack' ? '' : 'none';
+    }
+
+    joinFromInviteLink() {
+        const params = new URLSearchParams(window.location.search);
+        const invite = params.get('invite');
+        if (!invite) return false;
+
+        // Invites are single-use, so don't let a reload try it again
+        params.delete('invite');
+        const query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+        this.showSuccess('Joining from invite...');
+        this.hideUI();
+        this.engine.networkManager.redeemInvite(invite).catch(error => {
+            console.error('Failed to join from invite:', error);
+            this.showUI();
+            this.showError('Failed to join from invite. Please try again.');
+        });
+        return true;
+    }
+
+    getHostSettings() {
+        const settings = {
+            maxPlayers: Number(this.maxPlayersSelect.value),
+            maxSpectators: Number(this.maxSpectatorsSelect.value),
+            isPublic: this.publicCheckbox.checked,
+            gameMode: this.gameModeSelect.value
+        };
+        if (settings.gameMode === 'timeAttack' && this.courseSelect.value) {
+            settings.courseId = this.courseSelect.value;
+        }
+        const name = this.roomNameInput.value.trim();
+        if (name) {
+            settings.name = name;
+        }
+        if (this.hostPassphraseInput.value) {
+            settings.passphrase = this.hostPassphraseInput.value;
+        }
+        return settings;
+    }
+
+    refreshRoomList() {
+        // The server keeps pushing updates until we join a room
+        this.engine.networkManager.requestRoomList().catch(error => {
+            console.error('Failed to fetch room list:', error);
+        });
+    }
+
+    renderRoomList(rooms) {
+        if (!this.roomListContainer) return;
+        this.roomListContainer.textContent = '';
+
+        if (rooms.length === 0) {
+            this.roomListContainer.textContent = 'No public rooms yet. Host one!';
+            return;
+        }
+
+        rooms.forEach(room => {
+            const entry = document.createElement('div');
+            entry.className = 'room-entry';
+
+            const name = document.createElement('span');
+            name.className = 'room-name';
+            name.textContent = room.locked ? `🔒 ${room.name}` : room.name;
+
+            const details = document.createElement('span');
+            details.className = 'room-details';
+            details.textContent = `${room.gameMode} · ${room.playerCount}/${room.maxPlayers} · ${room.phase}`;
+            if (room.spectatorCount > 0) {
+                details.textContent += ` · ${room.spectatorCount} watching`;
+            }
+
+            // Full rooms can still be watched while spectator slots last
+            const isFull = room.playerCount >= room.maxPlayers;
+            const joinButton = document.createElement('button');
+            joinButton.className = 'button';
+            joinButton.textContent = isFull ? 'Watch' : 'Join';
+            joinButton.disabled = isFull && room.spectatorCount >= room.maxSpectators;
+            joinButton.addEventListener('click', () => {
+                let passphrase = this.joinPassphraseInput.value;
+                if (room.locked && !passphrase) {
+                    passphrase = window.prompt(`Passphrase for ${room.name}`);
+                    if (passphrase === null) return;
+                }
+                this.engine.networkManager.joinRoom(room.code, passphrase);
+                this.hideUI();
+            });
+
+            entry.append(name, details, joinButton);
+            this.roomListContainer.appendChild(entry);
+        });
     }
 
     async hostSession() {
         try {
-            this.engine.networkManager.hostRoom();
+            this.engine.networkManager.hostRoom(this.getHostSettings());
             this.hideUI();
         } catch (error) {
             console.error('Failed to host session:', error);
@@ -95,7 +271,7 @@ export class SessionManager {
         }
 
         try {
-            this.engine.networkManager.joinRoom(roomCode);
+            this.engine.networkManager.joinRoom(roomCode, this.joinPassphraseInput.value);
             this.hideUI();
         } catch (error) {
             console.error('Failed to join session:', error);
@@ -103,8 +279,43 @@ export class SessionManager {
         }
     }
 
+    handleJoinFailed(data) {
+        this.showUI();
+        this.showError(data.message);
+        if (data.needsPassphrase) {
+            this.roomInput.value = data.roomCode;
+            this.joinPassphraseInput.focus();
+        }
+    }
+
+    // The host can hand out single-use invite links while in a room; spectators can ask for a slot
+    updateRoomControls() {
+        const networkManager = this.engine.networkManager;
+        this.inviteButton.classList.toggle('hidden', !(networkManager.currentRoom && networkManager.isHost));
+        this.takeSlotButton.classList.toggle('hidden', !(networkManager.currentRoom && networkManager.isSpectator));
+    }
+
+    async handleInviteCreated(data) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('invite', data.invite);
+
+        try {
+            await navigator.clipboard.writeText(url.toString());
+            this.showNotice(`Invite link copied (single use): ${url}`);
+        } catch (error) {
+            // Clipboard access needs focus and a secure context; show the link instead
+            this.showNotice(`Share this single-use invite link: ${url}`);
+        }
+    }
+
     showUI() {
         this.container.style.display = 'block';
+        this.refreshRoomList();
+        if (this.engine.leaderboardManager) {
+            this.engine.leaderboardManager.refresh();
+        }
     }
 
     hideUI() {
@@ -124,6 +335,32 @@ export class SessionManager {
         }
     }
 
+    // Server-wide announcements; shown over the page even while the session UI is hidden
+    showNotice(message) {
+        if (!this.noticeBanner) {
+            this.noticeBanner = document.createElement('div');
+            this.noticeBanner.style.position = 'absolute';
+            this.noticeBanner.style.top = '20px';
+            this.noticeBanner.style.left = '50%';
+            this.noticeBanner.style.transform = 'translateX(-50%)';
+            this.noticeBanner.style.zIndex = '1001';
+            this.noticeBanner.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+            this.noticeBanner.style.color = '#ffd43b';
+            this.noticeBanner.style.padding = '10px 20px';
+            this.noticeBanner.style.borderRadius = '10px';
+            document.body.appendChild(this.noticeBanner);
+        }
+
+        this.noticeBanner.textContent = message;
+        this.noticeBanner.style.display = 'block';
+
+        // Hide notice after 10 seconds
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => {
+            this.noticeBanner.style.display = 'none';
+        }, 10000);
+    }
+
     showSuccess(message) {
         if (this.statusContainer) {
             this.statusContainer.textContent = message;
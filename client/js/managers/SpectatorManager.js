@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+
+// Camera for spectators: an overview of the arena that can follow players (Tab cycles)
+export class SpectatorManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.active = false;
+        this.followId = null; // Player being followed, or null for the overview
+        this.savedView = null; // Rig and camera state to restore when spectating ends
+
+        // Raised view from behind the arena; the orbit target sits in the middle of the spawn area
+        this.overviewRigPosition = new THREE.Vector3(0, 0, 0);
+        this.overviewCameraPosition = new THREE.Vector3(0, 6, 10);
+        this.overviewTarget = new THREE.Vector3(0, 2.5, 0);
+        this.followSmoothing = 5;
+
+        this.followPosition = new THREE.Vector3();
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.active || e.code !== 'Tab') return;
+            e.preventDefault();
+            this.followNext();
+        });
+    }
+
+    enter() {
+        if (this.active) return;
+        this.active = true;
+        this.followId = null;
+
+        const { cameraRig, camera, controls } = this.engine;
+        this.savedView = {
+            rigPosition: cameraRig.position.clone(),
+            rigRotation: cameraRig.rotation.clone(),
+            cameraPosition: camera.position.clone(),
+            target: controls.target.clone()
+        };
+
+        cameraRig.position.copy(this.overviewRigPosition);
+        cameraRig.rotation.set(0, 0, 0);
+        if (!this.engine.renderer.xr.isPresenting) {
+            camera.position.copy(this.overviewCameraPosition);
+        }
+        controls.target.copy(this.overviewTarget);
+        controls.update();
+        console.debug('[SPECTATOR] Spectating');
+    }
+
+    exit() {
+        if (!this.active) return;
+        this.active = false;
+        this.followId = null;
+
+        const { cameraRig, camera, controls } = this.engine;
+        if (this.savedView) {
+            cameraRig.position.copy(this.savedView.rigPosition);
+            cameraRig.rotation.copy(this.savedView.rigRotation);
+            if (!this.engine.renderer.xr.isPresenting) {
+                camera.position.copy(this.savedView.cameraPosition);
+            }
+            controls.target.copy(this.savedView.target);
+            controls.update();
+            this.savedView = null;
+        }
+        console.debug('[SPECTATOR] Stopped spectating');
+    }
+
+    // Overview -> each player in turn -> back to the overview
+    followNext() {
+        const ids = Array.from(this.engine.playerManager.players.keys())
+            .filter(id => id !== this.engine.networkManager.localPlayerId);
+        const index = ids.indexOf(this.followId);
+        this.followId = index + 1 < ids.length ? ids[index + 1] : null;
+
+        if (this.followId === null) {
+            this.engine.controls.target.copy(this.overviewTarget);
+        }
+        console.debug('[SPECTATOR] Following', this.followId ?? 'overview');
+    }
+
+    update(delta) {
+        if (!this.active || this.followId === null) return;
+
+        const player = this.engine.playerManager.players.get(this.followId);
+        if (!player) {
+            // They left; fall back to the overview
+            this.followId = null;
+            this.engine.controls.target.copy(this.overviewTarget);
+            return;
+        }
+
+        // OrbitControls works in rig space, so aim at the player's head relative to the rig
+        player.headGroup.getWorldPosition(this.followPosition);
+        this.followPosition.sub(this.engine.cameraRig.position);
+        this.engine.controls.target.lerp(this.followPosition, Math.min(1, delta * this.followSmoothing));
+    }
+}
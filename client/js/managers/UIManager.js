@@ -7,10 +7,16 @@ export class UIManager {
         this.raycaster = new THREE.Raycaster();
         this.tempMatrix = new THREE.Matrix4();
         this.intersected = null;
-        
+
+        // Match phase as broadcast by the server (lobby, countdown, playing, results)
+        this.matchPhase = 'lobby';
+        this.phaseEndTime = 0;
+        this.startRequested = false;
+
         // Timer properties
         this.gameStartTime = 0;
         this.gameDuration = 120000; // 120 seconds
+        this.timerText = '';
     }
 
     update() {
@@ -18,85 +24,82 @@ export class UIManager {
     }
 
     handleGameStart() {
-        if (this.gameStarted) return;
-        
-        console.log('[GAME_START] Starting game...');
-        this.gameStarted = true;
-        this.gameStartTime = Date.now();
-        
-        // Hide start button in VR score UI
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
-            console.log('[GAME_START] Hiding start button');
-            this.engine.scoreManager.vrScoreUI.startButton.visible = false;
-        }
-        
-        // Send start game event to all players
-        if (this.engine.networkManager) {
-            console.log('[GAME_START] Sending start game event to network');
-            this.engine.networkManager.send({
-                type: 'gameStart',
-                data: {
-                    startTime: this.gameStartTime
-                }
-            });
+        // The start button only asks the server; the match begins on its matchPhase broadcast
+        if (this.matchPhase !== 'lobby' || this.startRequested) return;
+        if (!this.engine.networkManager?.currentRoom || this.engine.networkManager.isSpectator) return;
+
+        console.log('[GAME_START] Requesting match start');
+        this.startRequested = true;
+        this.engine.networkManager.send({
+            type: 'requestStart'
+        });
+
+        // Allow another attempt if the server refuses the request
+        setTimeout(() => {
+            this.startRequested = false;
+        }, 1000);
+    }
+
+    handleMatchPhase(data) {
+        console.log('[MATCH] Phase changed to', data.phase);
+        if (data.phase === 'countdown') {
+            this.engine.scoreManager.resetScores();
+            this.engine.bulletManager.weapon.reset(); // The server refills every magazine too
         }
+        this.applyMatchState(data);
+    }
 
-        // Start the game locally
-        console.log('[GAME_START] Starting local game');
-        this.startGame();
+    hydrateFromSnapshot(match) {
+        // Same as a phase change, but keeps the scores the snapshot carries
+        this.applyMatchState(match);
     }
 
-    handleGameEnd() {
-        // Reset game state
-        this.gameStarted = false;
-        this.gameStartTime = 0;
-        
-        // Show start button in VR score UI
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
-            this.engine.scoreManager.vrScoreUI.startButton.visible = true;
+    applyMatchState(data) {
+        this.matchPhase = data.phase;
+        this.phaseEndTime = data.phaseEndTime;
+        this.startRequested = false;
+
+        // Stats panels stay up through the match and its results, until the
+        // next countdown or the lobby
+        if (data.phase === 'lobby' || data.phase === 'countdown') {
+            this.engine.scoreManager.hideResults();
         }
-        
-        // Stop bird spawning and remove all birds
-        if (this.engine.birdManager) {
-            this.engine.birdManager.isSpawning = false;
-            this.engine.birdManager.birds.forEach((bird, id) => {
-                this.engine.birdManager.removeBird(id);
-            });
+
+        // Start button is only usable in the lobby
+        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
+            this.engine.scoreManager.vrScoreUI.startButton.visible = data.phase === 'lobby';
         }
-        
-        // Send game end event if we're the host
-        if (this.engine.networkManager?.isHost) {
-            this.engine.networkManager.send({
-                type: 'gameEnd'
-            });
+
+        switch (data.phase) {
+            case 'playing':
+                this.gameStartTime = data.startTime;
+                this.gameDuration = data.duration;
+                if (!this.gameStarted) {
+                    this.gameStarted = true;
+                    this.startGame();
+                }
+                break;
+
+            case 'results':
+            case 'lobby':
+                if (this.gameStarted) {
+                    this.gameStarted = false;
+                    this.gameStartTime = 0;
+                    this.endGame();
+                }
+                break;
         }
     }
 
-    handleNetworkGameStart(data) {
-        if (this.gameStarted) return;
-        
-        this.gameStarted = true;
-        this.gameStartTime = data.startTime;
-        
-        // Hide start button in VR score UI
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
-            this.engine.scoreManager.vrScoreUI.startButton.visible = false;
+    startGame() {
+        // Start bird spawning
+        if (this.engine.birdManager) {
+            console.log('[GAME_START] Starting bird spawning');
+            this.engine.birdManager.isSpawning = true;
         }
-        
-        // Start the game
-        this.startGame();
     }
 
-    handleNetworkGameEnd() {
-        // Reset game state
-        this.gameStarted = false;
-        this.gameStartTime = 0;
-        
-        // Show start button in VR score UI
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.startButton) {
-            this.engine.scoreManager.vrScoreUI.startButton.visible = true;
-        }
-        
+    endGame() {
         // Stop bird spawning and remove all birds
         if (this.engine.birdManager) {
             this.engine.birdManager.isSpawning = false;
@@ -106,35 +109,27 @@ export class UIManager {
         }
     }
 
-    startGame() {
-        // Start bird spawning
-        if (this.engine.birdManager) {
-            console.log('[GAME_START] Starting bird spawning');
-            this.engine.birdManager.isSpawning = true;
+    updateTimer() {
+        let remainingTime;
+        if (this.matchPhase === 'countdown') {
+            remainingTime = Math.max(0, this.phaseEndTime - this.engine.networkManager.getServerTime());
+        } else if (this.gameStarted && this.gameDuration === null) {
+            // Untimed matches (wave mode) count up instead
+            remainingTime = Math.max(0, this.engine.networkManager.getServerTime() - this.gameStartTime);
+        } else if (this.gameStarted) {
+            const elapsedTime = this.engine.networkManager.getServerTime() - this.gameStartTime;
+            remainingTime = Math.max(0, this.gameDuration - elapsedTime);
+        } else {
+            this.timerText = '';
+            return;
         }
-    }
 
-    updateTimer() {
-        if (!this.gameStarted) return;
-        
-        const currentTime = Date.now();
-        const elapsedTime = currentTime - this.gameStartTime;
-        const remainingTime = Math.max(0, this.gameDuration - elapsedTime);
-        
         // Convert to seconds and format
         const seconds = Math.ceil(remainingTime / 1000);
         const minutes = Math.floor(seconds / 60);
         const remainingSeconds = seconds % 60;
-        const timeText = `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
-        
-        // Update VRScoreUI timer display
-        if (this.engine.scoreManager.vrScoreUI && this.engine.scoreManager.vrScoreUI.timerDisplay) {
-            this.engine.scoreManager.vrScoreUI.timerDisplay.text = timeText;
-        }
-        
-        // End game if time is up and we're the host
-        if (remainingTime <= 0 && this.engine.networkManager?.isHost) {
-            this.handleGameEnd();
-        }
+        this.timerText = this.matchPhase === 'countdown' ?
+            `${seconds}` :
+            `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
 }
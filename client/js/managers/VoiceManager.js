@@ -10,6 +10,7 @@ export class VoiceManager {
         this.dataArray = null;
         this.micToggleButton = null;
         this.visualizer = null;
+        this.peerList = null; // Names of the players we have a voice connection with
         this.peerConnections = new Map(); // playerId -> RTCPeerConnection
         this.audioElements = new Map(); // playerId -> HTMLAudioElement
         
@@ -44,8 +45,19 @@ export class VoiceManager {
         this.visualizer.style.backgroundColor = 'rgba(0, 0, 0, 0.3)';
         this.visualizer.style.borderRadius = '5px';
         
+        // Create voice peer indicators
+        this.peerList = document.createElement('div');
+        this.peerList.style.position = 'fixed';
+        this.peerList.style.bottom = '190px';
+        this.peerList.style.right = '20px';
+        this.peerList.style.color = 'white';
+        this.peerList.style.fontSize = '14px';
+        this.peerList.style.textAlign = 'right';
+        this.peerList.style.zIndex = '1000';
+        
         document.body.appendChild(this.micToggleButton);
         document.body.appendChild(this.visualizer);
+        document.body.appendChild(this.peerList);
         
         this.micToggleButton.addEventListener('click', () => this.toggleMicrophone());
     }
@@ -124,6 +136,7 @@ export class VoiceManager {
                 pc.close();
             }
             this.peerConnections.clear();
+            this.updatePeerIndicators();
             
             this.engine.networkManager.send({
                 type: 'voice_stop',
@@ -216,11 +229,26 @@ export class VoiceManager {
 
         pc.onconnectionstatechange = () => {
             console.log('[MIC] Connection state change:', pc.connectionState, 'with player', playerId);
+            this.updatePeerIndicators();
         };
 
+        this.updatePeerIndicators();
         return pc;
     }
 
+    // One line per voice connection, with the player's display name and colour
+    updatePeerIndicators() {
+        this.peerList.textContent = '';
+        for (const [playerId, pc] of this.peerConnections) {
+            const profile = this.engine.playerManager.profiles.get(playerId);
+            const entry = document.createElement('div');
+            entry.textContent = `${pc.connectionState === 'connected' ? '🔊' : '…'} ${this.engine.playerManager.getDisplayName(playerId)}`;
+            entry.style.color = profile?.color || 'white';
+            entry.style.textShadow = '0 1px 2px black';
+            this.peerList.appendChild(entry);
+        }
+    }
+
     async handleVoiceReady(playerId) {
         if (playerId === this.engine.networkManager.localPlayerId) return;
         
@@ -288,6 +316,7 @@ export class VoiceManager {
         if (pc) {
             pc.close();
             this.peerConnections.delete(playerId);
+            this.updatePeerIndicators();
             console.log('[MIC] Closed connection with player', playerId);
         }
     }
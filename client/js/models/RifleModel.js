@@ -4,9 +4,29 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 export class RifleModel extends THREE.Group {
     constructor() {
         super();
+        this.tint = null; // Team colour, reapplied once the model has loaded
         this.loadRifleModel();
     }
 
+    setTint(color) {
+        this.tint = color;
+        this.applyTint();
+    }
+
+    // Glows the rifle in the tint colour, or clears the glow when there's no tint
+    applyTint() {
+        this.traverse(child => {
+            if (!child.isMesh || !child.material.emissive) return;
+            if (!child.userData.ownMaterial) {
+                // Materials can be shared between meshes; only tint this rifle's copy
+                child.material = child.material.clone();
+                child.userData.ownMaterial = true;
+            }
+            child.material.emissive.set(this.tint ?? 0x000000);
+            child.material.emissiveIntensity = this.tint ? 0.5 : 1;
+        });
+    }
+
     async loadRifleModel() {
         const loader = new GLTFLoader();
         try {
@@ -21,6 +41,7 @@ export class RifleModel extends THREE.Group {
             
             // Add the model to the group
             this.add(model);
+            this.applyTint();
             
         } catch (error) {
             console.error('Error loading rifle model:', error);
@@ -39,5 +60,6 @@ export class RifleModel extends THREE.Group {
         });
         const rifle = new THREE.Mesh(geometry, material);
         this.add(rifle);
+        this.applyTint();
     }
 }
@@ -1,5 +1,16 @@
 import * as THREE from 'three';
 import { Bullet } from '../entities/Bullet.js';
+import { encodePose, decodePose } from './PoseCodec.js';
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// Angle between two [x, y, z, w] quaternions, in radians
+function angle(a, b) {
+    const dot = Math.abs(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]);
+    return 2 * Math.acos(Math.min(1, dot));
+}
 
 export class NetworkManager {
     constructor(engine) {
@@ -7,32 +18,86 @@ export class NetworkManager {
         this.players = new Map();
         this.localPlayerId = null;
         this.lastUpdateTime = 0;
-        this.updateInterval = 50; // Send updates every 50ms
+        this.updateInterval = 50; // Current pose send interval, adapted to the connection
+
+        // Pose updates are only sent when the local pose moves past these thresholds
+        this.minUpdateInterval = 33; // ~30Hz on a good connection
+        this.maxUpdateInterval = 200; // 5Hz when congested
+        this.maxBufferedAmount = 8192; // Bytes queued on the socket before we back off
+        this.positionThreshold = 0.005; // Metres
+        this.rotationThreshold = 0.01; // Radians
+        this.keyframeInterval = 1000; // Idle players still send a full pose this often
+        this.lastSentPose = null;
+        this.lastKeyframeTime = 0;
+        this.poseSettled = true;
         this.connected = false;
         this.ws = null;
+        this.connecting = null; // Pending connect() promise
         this.onConnect = null; // Callback for when connection is established
         this.currentRoom = null; // Track current room
         this.isHost = false; // Track if this client is the host
+        this.roomSettings = null; // Name, capacity, visibility and game mode of the current room
+        this.isSpectator = false; // In a full room without a player slot
+        this.profile = {}; // { name, color, key } chosen in the session UI, sent when entering a room
+
+        // Reconnect-and-resume state
+        this.sessionToken = null; // Lets the server restore our slot after a dropped connection
+        this.reconnecting = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 6;
+        this.reconnectBaseDelay = 500; // ms, doubled after each failed attempt
+        this.reconnectTimer = null;
+        this.pendingInit = null; // Fresh identity to fall back to if the resume is refused
+
+        // Clock synchronization against the server
+        this.clockOffset = 0; // ms to add to Date.now() to get server time
+        this.roundTripTime = 0;
+        this.clockSamples = []; // Recent { offset, rtt } measurements
+        this.maxClockSamples = 8;
+        this.clockSyncInterval = 10000; // Re-sync every 10 seconds
+        this.clockSyncTimer = null;
+        this.clockSyncBurstTimers = []; // Pending samples of the burst sent on connect
     }
 
     async connect() {
-        return new Promise((resolve, reject) => {
+        // The room browser connects on page load; don't open a second socket
+        // if the player clicks a button before that finishes
+        if (this.connecting) return this.connecting;
+
+        this.connecting = new Promise((resolve, reject) => {
             try {
                 const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
                 this.ws = new WebSocket(`${protocol}//${window.location.host}`);
+                this.ws.binaryType = 'arraybuffer'; // Pose packets are decoded with a DataView
 
                 this.ws.onopen = () => {
                     this.connected = true;
+                    this.startClockSync();
                     if (this.onConnect) {
                         this.onConnect();
                     }
                     resolve();
                 };
                 
-                this.ws.onclose = () => {
+                this.ws.onclose = (event) => {
                     this.connected = false;
+                    this.stopClockSync();
+                    // 1008 (policy violation) means the server removed us on purpose.
+                    // Spectators hold no slot, so there is nothing for them to resume.
+                    const wasSpectating = this.isSpectator;
+                    if (this.currentRoom && this.sessionToken && !wasSpectating && event.code !== 1008) {
+                        // Keep the room and players around while we try to resume
+                        this.scheduleReconnect();
+                        return;
+                    }
                     this.currentRoom = null; // Clear room on disconnect
+                    this.isHost = false;
+                    this.setSpectating(false);
                     this.clearPlayers(); // Clear all players on disconnect
+                    this.notifyRoomChanged();
+                    if ((event.code === 1008 || wasSpectating) && this.engine.sessionManager) {
+                        this.engine.sessionManager.showUI();
+                    }
                 };
                 
                 this.ws.onerror = (error) => {
@@ -45,10 +110,172 @@ export class NetworkManager {
                 console.error('Failed to connect:', error);
                 reject(error);
             }
+        }).finally(() => {
+            this.connecting = null;
+        });
+        return this.connecting;
+    }
+
+    startClockSync() {
+        this.stopClockSync();
+
+        // A quick burst gives a usable estimate right away, then refresh periodically
+        for (let i = 0; i < 5; i++) {
+            this.clockSyncBurstTimers.push(setTimeout(() => this.sendTimeSync(), i * 200));
+        }
+        this.clockSyncTimer = setInterval(() => this.sendTimeSync(), this.clockSyncInterval);
+    }
+
+    stopClockSync() {
+        clearInterval(this.clockSyncTimer);
+        this.clockSyncTimer = null;
+        this.clockSyncBurstTimers.forEach(timer => clearTimeout(timer));
+        this.clockSyncBurstTimers = [];
+    }
+
+    sendTimeSync() {
+        this.send({
+            type: 'timeSync',
+            clientTime: Date.now()
         });
     }
 
+    handleTimeSyncReply(data) {
+        const now = Date.now();
+        const rtt = now - data.clientTime;
+        const offset = data.serverTime + rtt / 2 - now;
+
+        this.clockSamples.push({ offset, rtt });
+        if (this.clockSamples.length > this.maxClockSamples) {
+            this.clockSamples.shift();
+        }
+
+        // Exchanges with the lowest round trip have the least asymmetric delay, so trust those
+        const best = [...this.clockSamples]
+            .sort((a, b) => a.rtt - b.rtt)
+            .slice(0, Math.ceil(this.clockSamples.length / 2));
+        this.clockOffset = best.reduce((sum, sample) => sum + sample.offset, 0) / best.length;
+        this.roundTripTime = best.reduce((sum, sample) => sum + sample.rtt, 0) / best.length;
+    }
+
+    // Current time on the server's clock; use for every timestamp shared over the network
+    getServerTime() {
+        return Date.now() + this.clockOffset;
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.warn('[NETWORK] Giving up on reconnecting');
+            this.abandonSession('Connection lost. Please join again.');
+            return;
+        }
+
+        // Exponential backoff with jitter so a room full of headsets doesn't retry in lockstep
+        const delay = Math.min(this.reconnectBaseDelay * 2 ** this.reconnectAttempts, 8000) *
+            (0.75 + Math.random() * 0.5);
+        this.reconnectAttempts++;
+        this.reconnecting = true;
+        console.log(`[NETWORK] Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect()
+                .then(() => {
+                    this.send({
+                        type: 'resume',
+                        token: this.sessionToken
+                    });
+                })
+                .catch(() => {
+                    // onclose schedules the next attempt
+                });
+        }, delay);
+    }
+
+    handleResumeConfirm(data) {
+        console.log('[NETWORK] Resumed session in room', data.roomCode);
+        this.reconnecting = false;
+        this.reconnectAttempts = 0;
+        this.pendingInit = null;
+        this.currentRoom = data.roomCode;
+        this.roomSettings = data.settings;
+
+        // Reconcile players that joined or left while we were away
+        const playerManager = this.engine.playerManager;
+        const present = new Set(data.players);
+        for (const id of Array.from(playerManager.players.keys())) {
+            if (id !== this.localPlayerId && !present.has(id)) {
+                playerManager.removePlayer(id);
+            }
+        }
+        data.players.forEach(id => playerManager.addPlayer(id));
+        this.lastSentPose = null;
+        // Targets, scores and match phase follow in a roomSnapshot
+
+        const wasHost = this.isHost;
+        this.isHost = data.hostId === this.localPlayerId;
+        if (this.isHost && !wasHost) {
+            this.engine.birdManager.handleHostMigration();
+        }
+        this.notifyRoomChanged();
+    }
+
+    abandonSession(message) {
+        this.reconnecting = false;
+        this.reconnectAttempts = 0;
+        this.currentRoom = null;
+        this.isHost = false;
+        this.setSpectating(false);
+        this.clearPlayers();
+
+        // Adopt the identity the server gave this connection, if any
+        if (this.pendingInit) {
+            this.localPlayerId = this.pendingInit.id;
+            this.sessionToken = this.pendingInit.token;
+            this.pendingInit = null;
+        } else {
+            this.sessionToken = null;
+        }
+
+        this.notifyRoomChanged();
+        if (this.engine.sessionManager) {
+            this.engine.sessionManager.showUI();
+            this.engine.sessionManager.showError(message);
+        }
+    }
+
+    // Lets the session UI show or hide its in-room controls
+    notifyRoomChanged() {
+        this.engine.birdManager.handleRoomSettings(this.currentRoom ? this.roomSettings : null);
+        if (this.engine.sessionManager) {
+            this.engine.sessionManager.updateRoomControls();
+        }
+    }
+
+    handleRoomClosed(data) {
+        console.warn('[NETWORK] Room closed by the server:', data.message);
+        this.currentRoom = null;
+        this.isHost = false;
+        this.setSpectating(false);
+        this.clearPlayers();
+        this.engine.uiManager.applyMatchState({ phase: 'lobby', phaseEndTime: 0 });
+        this.notifyRoomChanged();
+
+        if (this.engine.sessionManager) {
+            this.engine.sessionManager.showUI();
+            this.engine.sessionManager.showError(data.message);
+        }
+    }
+
     disconnect() {
+        // Stop any pending resume attempt
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnecting = false;
+        this.stopClockSync();
+
         if (this.ws) {
             if (this.currentRoom) {
                 // Send leave message before disconnecting
@@ -61,13 +288,27 @@ export class NetworkManager {
             this.ws = null;
             this.connected = false;
             this.currentRoom = null;
+            this.setSpectating(false);
             this.clearPlayers();
         }
     }
 
+    // Spectators watch from the spectator camera instead of having an avatar
+    setSpectating(spectating) {
+        if (this.isSpectator === spectating) return;
+        this.isSpectator = spectating;
+
+        if (spectating) {
+            this.engine.playerManager.removeLocalPlayer();
+            this.engine.spectatorManager.enter();
+        } else {
+            this.engine.spectatorManager.exit();
+        }
+    }
+
     clearPlayers() {
         // Remove all players except local
-        for (const [id, player] of this.players) {
+        for (const id of Array.from(this.engine.playerManager.players.keys())) {
             if (id !== this.localPlayerId) {
                 this.engine.playerManager.removePlayer(id);
             }
@@ -76,22 +317,49 @@ export class NetworkManager {
     }
 
     handleMessage(message) {
+        if (message.data instanceof ArrayBuffer) {
+            this.handleBinaryMessage(message.data);
+            return;
+        }
+
         const data = JSON.parse(message.data);
         
         switch(data.type) {
             case 'init':
+                if (this.reconnecting) {
+                    // Keep our old id until the server accepts or refuses the resume
+                    this.pendingInit = data;
+                    break;
+                }
                 this.localPlayerId = data.id;
+                this.sessionToken = data.token;
+                break;
+
+            case 'timeSyncReply':
+                this.handleTimeSyncReply(data);
+                break;
+
+            case 'resumeConfirm':
+                this.handleResumeConfirm(data);
+                break;
+
+            case 'resumeFailed':
+                console.warn('[NETWORK] Could not resume session:', data.message);
+                this.abandonSession(data.message);
                 break;
                 
             case 'hostConfirm':
                 this.currentRoom = data.roomCode;
+                this.roomSettings = data.settings;
                 this.isHost = true;
                 this.engine.playerManager.createLocalPlayer();
+                this.engine.playerManager.setProfile(this.localPlayerId, data.profile);
                 
                 if (data.players) {
                     data.players.forEach(player => {
                         if (player.id !== this.localPlayerId) {
                             this.engine.playerManager.addPlayer(player.id);
+                            this.engine.playerManager.setProfile(player.id, player.profile);
                             if (player.position) {
                                 this.engine.playerManager.updatePlayer(player.id, {
                                     position: player.position,
@@ -103,18 +371,30 @@ export class NetworkManager {
                         }
                     });
                 }
+                this.notifyRoomChanged();
                 break;
                 
             case 'joinConfirm':
             case 'autoJoinConfirm':
                 this.currentRoom = data.roomCode;
-                this.isHost = false;
-                this.engine.playerManager.createLocalPlayer();
+                this.roomSettings = data.settings;
+                this.isHost = data.hostId === this.localPlayerId;
+                this.setSpectating(Boolean(data.spectator));
+                if (this.isSpectator) {
+                    if (this.engine.sessionManager) {
+                        this.engine.sessionManager.showNotice('The room is full, so you are spectating. Press Tab to follow players.');
+                    }
+                } else {
+                    this.engine.playerManager.createLocalPlayer();
+                    this.engine.playerManager.setProfile(this.localPlayerId, data.profile);
+                }
+                this.lastSentPose = null;
                 
                 if (data.players) {
                     data.players.forEach(player => {
                         if (player.id !== this.localPlayerId) {
                             this.engine.playerManager.addPlayer(player.id);
+                            this.engine.playerManager.setProfile(player.id, player.profile);
                             if (player.position) {
                                 this.engine.playerManager.updatePlayer(player.id, {
                                     position: player.position,
@@ -126,15 +406,49 @@ export class NetworkManager {
                         }
                     });
                 }
+                this.notifyRoomChanged();
                 break;
                 
+            case 'joinFailed':
+                console.warn('[NETWORK] Could not join room:', data.message);
+                if (this.engine.sessionManager) {
+                    this.engine.sessionManager.handleJoinFailed(data);
+                }
+                break;
+
+            case 'slotAvailable':
+                if (this.isSpectator && this.engine.sessionManager) {
+                    this.engine.sessionManager.showNotice('A player slot is free. Take it to join the match.');
+                }
+                break;
+
+            case 'inviteCreated':
+                if (this.engine.sessionManager) {
+                    this.engine.sessionManager.handleInviteCreated(data);
+                }
+                break;
+
             case 'playerJoined':
                 if (!this.currentRoom) return;
                 if (data.id !== this.localPlayerId) {
                     this.engine.playerManager.addPlayer(data.id);
+                    this.engine.playerManager.setProfile(data.id, data.profile);
+                    this.lastSentPose = null; // Give the newcomer our pose right away
                 }
                 break;
                 
+            case 'hostChanged': {
+                if (!this.currentRoom) return;
+                const wasHost = this.isHost;
+                this.isHost = data.hostId === this.localPlayerId;
+                if (this.isHost && !wasHost) {
+                    console.log('[NETWORK] Host left, taking over as host');
+                    this.engine.birdManager.handleHostMigration();
+                }
+                this.notifyRoomChanged();
+                break;
+            }
+
             case 'playerLeft':
                 if (!this.currentRoom) return;
                 if (data.id !== this.localPlayerId) {
@@ -146,9 +460,11 @@ export class NetworkManager {
                 if (!this.currentRoom) return;
                 if (data.id !== this.localPlayerId) {
                     this.engine.playerManager.updatePlayer(data.id, {
+                        time: data.time,
                         position: data.position,
                         headPosition: data.headPosition,
                         headRotation: data.headRotation,
+                        headQuaternion: data.headQuaternion,
                         controllers: data.controllers
                     });
                 }
@@ -158,6 +474,11 @@ export class NetworkManager {
                 this.engine.bulletManager.handleNetworkBulletSpawn(data.data, data.senderId);
                 break;
 
+            case 'shotAccepted':
+                // Our own shot as the server recorded it
+                this.engine.birdManager.handleShot(data.data.position, data.data.direction, data.data.time);
+                break;
+
             case 'bulletHit':
                 this.engine.bulletManager.handleNetworkBulletHit(data.data);
                 break;
@@ -180,6 +501,11 @@ export class NetworkManager {
                 }
                 break;
 
+            case 'birdShots':
+                // The shots the server has one of our evasive targets dodging
+                this.engine.birdManager.handleBirdShots(data.data);
+                break;
+
             case 'birdRemoved':
                 this.engine.birdManager.handleNetworkBirdRemoved(data.data);
                 break;
@@ -189,8 +515,14 @@ export class NetworkManager {
                 this.engine.birdManager.handleBirdKilled(data.data);
                 break;
 
-            case 'gameStart':
-                console.debug('[DEBUG] Received game start message:', data);
+            case 'roomSnapshot':
+            case 'matchPhase':
+            case 'matchResults':
+            case 'playerStats':
+            case 'waveState':
+            case 'courseState':
+            case 'eliminationState':
+                console.debug('[DEBUG] Received match phase message:', data);
                 this.engine.handleNetworkMessage(data, data.senderId);
                 break;
 
@@ -214,6 +546,23 @@ export class NetworkManager {
                 this.engine.voiceManager.handleVoiceStop(data.playerId);
                 break;
 
+            case 'roomList':
+                if (this.engine.sessionManager) {
+                    this.engine.sessionManager.renderRoomList(data.rooms);
+                }
+                break;
+
+            case 'notice':
+                console.log('[NETWORK] Server notice:', data.message);
+                if (this.engine.sessionManager) {
+                    this.engine.sessionManager.showNotice(data.message);
+                }
+                break;
+
+            case 'roomClosed':
+                this.handleRoomClosed(data);
+                break;
+
             case 'error':
                 console.error('Server error:', data.message);
                 if (this.engine.sessionManager) {
@@ -239,6 +588,7 @@ export class NetworkManager {
                 }, 5000);
 
                 const checkAutoJoin = (event) => {
+                    if (typeof event.data !== 'string') return;
                     const message = JSON.parse(event.data);
                     if (message.type === 'autoJoinConfirm') {
                         clearTimeout(timeout);
@@ -251,7 +601,8 @@ export class NetworkManager {
                 this.ws.addEventListener('message', checkAutoJoin);
                 
                 this.send({
-                    type: 'autoJoin'
+                    type: 'autoJoin',
+                    profile: this.profile
                 });
             });
         } catch (error) {
@@ -260,7 +611,7 @@ export class NetworkManager {
         }
     }
 
-    async hostRoom() {
+    async hostRoom(settings = {}) {
         if (!this.connected) {
             await this.connect();
         }
@@ -268,18 +619,60 @@ export class NetworkManager {
         const roomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
         this.send({
             type: 'host',
-            roomCode: roomCode
+            roomCode: roomCode,
+            settings,
+            profile: this.profile
         });
     }
 
-    async joinRoom(roomCode) {
+    async requestRoomList() {
         if (!this.connected) {
             await this.connect();
         }
 
         this.send({
+            type: 'listRooms'
+        });
+    }
+
+    async joinRoom(roomCode, passphrase) {
+        if (!this.connected) {
+            await this.connect();
+        }
+
+        const message = {
             type: 'join',
-            roomCode: roomCode
+            roomCode: roomCode,
+            profile: this.profile
+        };
+        if (passphrase) {
+            message.passphrase = passphrase;
+        }
+        this.send(message);
+    }
+
+    async redeemInvite(invite) {
+        if (!this.connected) {
+            await this.connect();
+        }
+
+        this.send({
+            type: 'redeemInvite',
+            invite,
+            profile: this.profile
+        });
+    }
+
+    createInvite() {
+        this.send({
+            type: 'createInvite'
+        });
+    }
+
+    takeSlot() {
+        if (!this.isSpectator) return;
+        this.send({
+            type: 'takeSlot'
         });
     }
 
@@ -289,28 +682,91 @@ export class NetworkManager {
         const now = performance.now();
         if (now - this.lastUpdateTime > this.updateInterval) {
             this.lastUpdateTime = now;
-            this.sendPlayerUpdate();
+            this.adaptUpdateInterval();
+            this.sendPlayerUpdate(now);
         }
     }
 
-    sendPlayerUpdate() {
+    adaptUpdateInterval() {
+        // A growing send queue means we're outrunning the connection's bandwidth
+        if (this.ws.bufferedAmount > this.maxBufferedAmount) {
+            this.updateInterval = Math.min(this.maxUpdateInterval, this.updateInterval * 1.5);
+            return;
+        }
+
+        // Otherwise ease towards a rate that suits the measured latency
+        const target = THREE.MathUtils.clamp(this.roundTripTime / 4, this.minUpdateInterval, this.maxUpdateInterval);
+        this.updateInterval += (target - this.updateInterval) * 0.1;
+    }
+
+    sendPlayerUpdate(now = performance.now()) {
         const player = this.engine.playerManager.localPlayer;
         if (!this.connected || !this.currentRoom || !player || !player.mesh) return;
 
         // Get the network update from the player which includes all necessary data
         const playerData = player.getNetworkUpdate();
-        
-        const update = {
-            type: 'position',
-            roomCode: this.currentRoom,
-            id: this.localPlayerId,
+
+        if (this.hasPoseChanged(playerData)) {
+            this.poseSettled = false;
+        } else if (!this.poseSettled) {
+            // Send the resting pose once so remote players stop where we did
+            this.poseSettled = true;
+        } else if (now - this.lastKeyframeTime < this.keyframeInterval) {
+            return;
+        }
+
+        this.lastSentPose = playerData;
+        this.lastKeyframeTime = now;
+
+        // Poses go out as compact binary packets; the server stamps our id on relay
+        this.sendBinary(encodePose({
+            time: this.getServerTime(), // Used by remote SnapshotBuffers
             position: playerData.position,
             headPosition: playerData.headPosition,
-            headRotation: playerData.headRotation,
+            headQuaternion: playerData.headQuaternion,
             controllers: playerData.controllers
-        };
-        
-        this.send(update);
+        }));
+    }
+
+    hasPoseChanged(pose) {
+        const last = this.lastSentPose;
+        if (!last || last.controllers.length !== pose.controllers.length) return true;
+
+        if (distance(last.position, pose.position) > this.positionThreshold ||
+            distance(last.headPosition, pose.headPosition) > this.positionThreshold ||
+            angle(last.headQuaternion, pose.headQuaternion) > this.rotationThreshold) {
+            return true;
+        }
+
+        return pose.controllers.some((controller, i) =>
+            distance(last.controllers[i].position, controller.position) > this.positionThreshold ||
+            angle(last.controllers[i].rotation, controller.rotation) > this.rotationThreshold
+        );
+    }
+
+    handleBinaryMessage(buffer) {
+        if (!this.currentRoom) return;
+
+        const pose = decodePose(buffer);
+        if (!pose) {
+            console.warn('[NETWORK] Dropping malformed pose packet');
+            return;
+        }
+        if (pose.senderId === this.localPlayerId) return;
+
+        this.engine.playerManager.updatePlayer(pose.senderId, {
+            time: pose.time,
+            position: pose.position,
+            headPosition: pose.headPosition,
+            headQuaternion: pose.headQuaternion,
+            controllers: pose.controllers
+        });
+    }
+
+    sendBinary(buffer) {
+        if (this.connected && this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(buffer);
+        }
     }
 
     send(data) {
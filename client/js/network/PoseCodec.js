@@ -0,0 +1,148 @@
+// Binary wire format for high-frequency player pose updates.
+//
+// Header (14 bytes, little-endian):
+//   u8  version      POSE_PROTOCOL_VERSION
+//   u8  kind         MESSAGE_POSE
+//   u32 senderId     0 from clients; stamped by the server before relaying
+//   f64 time         Server time the pose was sampled
+// Body:
+//   u8  controllerCount
+//   position, headPosition        int16 x3 each, millimetres
+//   headQuaternion                smallest-three, 32 bits
+//   per controller: position (int16 x3) + quaternion (32 bits)
+//
+// The server only reads the version byte and writes the sender id, so it can
+// relay packets without decoding them. Keep server/server.js in step.
+export const POSE_PROTOCOL_VERSION = 1;
+export const MESSAGE_POSE = 1;
+export const POSE_SENDER_OFFSET = 2;
+export const POSE_HEADER_SIZE = 14;
+
+const POSITION_SCALE = 1000; // 1mm resolution, +-32.7m range
+const POSITION_SIZE = 6;
+const QUATERNION_SIZE = 4;
+const QUATERNION_BITS = 10;
+const QUATERNION_MAX = (1 << QUATERNION_BITS) - 1;
+const QUATERNION_HALF = QUATERNION_MAX >> 1; // Odd step count so zero is exact
+const QUATERNION_RANGE = Math.SQRT1_2; // Non-largest components are within +-1/sqrt(2)
+
+function writePosition(view, offset, position) {
+    for (let i = 0; i < 3; i++) {
+        const value = Math.round((position?.[i] || 0) * POSITION_SCALE);
+        view.setInt16(offset + i * 2, Math.max(-32768, Math.min(32767, value)), true);
+    }
+    return offset + POSITION_SIZE;
+}
+
+function readPosition(view, offset) {
+    return [
+        view.getInt16(offset, true) / POSITION_SCALE,
+        view.getInt16(offset + 2, true) / POSITION_SCALE,
+        view.getInt16(offset + 4, true) / POSITION_SCALE
+    ];
+}
+
+// Smallest-three: drop the largest component (recoverable from unit length)
+// and store its index in the top 2 bits plus the other three at 10 bits each
+function writeQuaternion(view, offset, quaternion) {
+    const q = quaternion || [0, 0, 0, 1];
+    const length = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+        if (Math.abs(q[i]) > Math.abs(q[largest])) largest = i;
+    }
+    // q and -q are the same rotation; make the dropped component positive
+    const sign = q[largest] < 0 ? -1 : 1;
+
+    let packed = largest << 30;
+    let shift = QUATERNION_BITS * 2;
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        const value = (q[i] * sign) / length;
+        const quantized = Math.round(value / QUATERNION_RANGE * QUATERNION_HALF) + QUATERNION_HALF;
+        packed |= Math.max(0, Math.min(QUATERNION_HALF * 2, quantized)) << shift;
+        shift -= QUATERNION_BITS;
+    }
+
+    view.setUint32(offset, packed >>> 0, true);
+    return offset + QUATERNION_SIZE;
+}
+
+function readQuaternion(view, offset) {
+    const packed = view.getUint32(offset, true);
+    const largest = packed >>> 30;
+    const q = [0, 0, 0, 0];
+
+    let shift = QUATERNION_BITS * 2;
+    let sumSquares = 0;
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        const quantized = (packed >>> shift) & QUATERNION_MAX;
+        q[i] = (quantized - QUATERNION_HALF) / QUATERNION_HALF * QUATERNION_RANGE;
+        sumSquares += q[i] * q[i];
+        shift -= QUATERNION_BITS;
+    }
+    q[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+
+    return q;
+}
+
+export function encodePose(pose) {
+    const controllers = (pose.controllers || []).slice(0, 255);
+    const size = POSE_HEADER_SIZE + 1 + POSITION_SIZE * 2 + QUATERNION_SIZE +
+        controllers.length * (POSITION_SIZE + QUATERNION_SIZE);
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+
+    view.setUint8(0, POSE_PROTOCOL_VERSION);
+    view.setUint8(1, MESSAGE_POSE);
+    view.setUint32(POSE_SENDER_OFFSET, 0, true);
+    view.setFloat64(6, pose.time || 0, true);
+
+    let offset = POSE_HEADER_SIZE;
+    view.setUint8(offset++, controllers.length);
+    offset = writePosition(view, offset, pose.position);
+    offset = writePosition(view, offset, pose.headPosition);
+    offset = writeQuaternion(view, offset, pose.headQuaternion);
+    controllers.forEach(controller => {
+        offset = writePosition(view, offset, controller.position);
+        offset = writeQuaternion(view, offset, controller.rotation);
+    });
+
+    return buffer;
+}
+
+// Returns null for packets from an unknown protocol version or of the wrong size
+export function decodePose(buffer) {
+    if (buffer.byteLength < POSE_HEADER_SIZE + 1) return null;
+
+    const view = new DataView(buffer);
+    if (view.getUint8(0) !== POSE_PROTOCOL_VERSION || view.getUint8(1) !== MESSAGE_POSE) return null;
+
+    let offset = POSE_HEADER_SIZE;
+    const controllerCount = view.getUint8(offset++);
+    const expectedSize = POSE_HEADER_SIZE + 1 + POSITION_SIZE * 2 + QUATERNION_SIZE +
+        controllerCount * (POSITION_SIZE + QUATERNION_SIZE);
+    if (buffer.byteLength !== expectedSize) return null;
+
+    const pose = {
+        senderId: view.getUint32(POSE_SENDER_OFFSET, true),
+        time: view.getFloat64(6, true),
+        position: readPosition(view, offset),
+        headPosition: readPosition(view, offset + POSITION_SIZE),
+        headQuaternion: readQuaternion(view, offset + POSITION_SIZE * 2),
+        controllers: []
+    };
+
+    offset += POSITION_SIZE * 2 + QUATERNION_SIZE;
+    for (let i = 0; i < controllerCount; i++) {
+        pose.controllers.push({
+            position: readPosition(view, offset),
+            rotation: readQuaternion(view, offset + POSITION_SIZE)
+        });
+        offset += POSITION_SIZE + QUATERNION_SIZE;
+    }
+
+    return pose;
+}
@@ -0,0 +1,63 @@
+// Jitter buffer for timestamped network snapshots.
+// Snapshots are stored in the sender's clock and sampled a fixed delay in the past,
+// so there is usually a newer snapshot to interpolate towards.
+export class SnapshotBuffer {
+    constructor(options = {}) {
+        this.delay = options.delay ?? 100; // ms to render behind the newest data
+        this.maxExtrapolation = options.maxExtrapolation ?? 150; // ms to predict past the newest snapshot
+        this.maxSize = options.maxSize ?? 32;
+        this.snapshots = []; // [{ time, state }] ordered by sender time
+        this.clockOffset = null; // Estimated local time minus sender time, in ms
+    }
+
+    push(senderTime, state, now = performance.now()) {
+        // The smallest observed offset is the least delayed packet; drift up slowly
+        // so a route change or clock drift doesn't leave us stuck in the past
+        const offset = now - senderTime;
+        if (this.clockOffset === null || offset < this.clockOffset) {
+            this.clockOffset = offset;
+        } else {
+            this.clockOffset += (offset - this.clockOffset) * 0.01;
+        }
+
+        // Ignore duplicates and packets that arrive out of order
+        const newest = this.snapshots[this.snapshots.length - 1];
+        if (newest && senderTime <= newest.time) return;
+
+        this.snapshots.push({ time: senderTime, state });
+        if (this.snapshots.length > this.maxSize) {
+            this.snapshots.shift();
+        }
+    }
+
+    // Returns { from, to, alpha } for the render time, or null if empty.
+    // alpha > 1 means the caller should extrapolate past `to`.
+    sample(now = performance.now()) {
+        if (this.snapshots.length === 0) return null;
+
+        const renderTime = now - this.clockOffset - this.delay;
+
+        // Keep exactly one snapshot at or before the render time
+        while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+            this.snapshots.shift();
+        }
+
+        const [from, to] = this.snapshots;
+        if (!to || renderTime <= from.time) {
+            return { from, to: from, alpha: 0 };
+        }
+
+        const span = to.time - from.time;
+        if (renderTime <= to.time) {
+            return { from, to, alpha: (renderTime - from.time) / span };
+        }
+
+        // Packets are late: carry on along the last motion, but not indefinitely
+        const overshoot = Math.min(renderTime - to.time, this.maxExtrapolation);
+        return { from, to, alpha: 1 + overshoot / span };
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
+import { RESULT_COLUMNS, formatResultRow, formatResultsSummary, formatWaveState, formatCourseState } from '../utils/ResultsFormat.js';
 
 export class VRScoreUI {
     constructor(engine) {
@@ -10,6 +11,11 @@ export class VRScoreUI {
         this.textMeshes = new Map(); // playerId -> { text: mesh, outline: mesh }
         this.timerMesh = null;
         this.startButton = null;
+        this.resultsMesh = null; // Live and end-of-match stats panel beside the leaderboard
+        this.teamTotalsMesh = null; // Team scores above the leaderboard in team mode
+        this.waveMesh = null; // Wave counter above the leaderboard in wave mode
+        this.courseMesh = null; // Course progress above the leaderboard in time-attack mode
+        this.eliminationMesh = null; // Targets left per player above the leaderboard in elimination mode
         this.loadFont();
     }
 
@@ -312,8 +318,9 @@ export class VRScoreUI {
         const yPosition = startY - (rank * spacing);
 
         // Create text for this score entry
-        const isLocalPlayer = playerId === this.engine.playerManager.localPlayer.id;
-        const playerText = isLocalPlayer ? 'You' : `Player ${playerId}`;
+        const isLocalPlayer = playerId === this.engine.playerManager.localPlayer?.id;
+        const displayName = this.engine.playerManager.getDisplayName(playerId);
+        const playerText = isLocalPlayer ? `${displayName} (You)` : displayName;
         const scoreText = `${rank + 1}. ${playerText}: ${score}`;
 
         // Create outline text (slightly larger, black)
@@ -342,8 +349,9 @@ export class VRScoreUI {
             bevelEnabled: false
         });
 
-        // Brighter colors for better visibility
-        const textColor = isLocalPlayer ? 0x00ffff : 0xccffff; // Cyan for local player, bright white for others
+        // Brighter colors for better visibility; in team mode rows take the team colour
+        const team = this.engine.playerManager.getTeam(playerId);
+        const textColor = team ? team.color : isLocalPlayer ? 0x00ffff : 0xccffff; // Cyan for local player, bright white for others
         const textMaterial = new THREE.MeshBasicMaterial({ 
             color: textColor,
             transparent: true,
@@ -368,6 +376,190 @@ export class VRScoreUI {
         this.textMeshes.set(playerId, { text: textMesh, outline: outlineMesh });
     }
 
+    // totals: ScoreManager.getTeamTotals(), or null to hide the panel
+    updateTeamTotals(totals) {
+        if (!totals) {
+            if (this.teamTotalsMesh) this.teamTotalsMesh.mesh.visible = false;
+            return;
+        }
+        if (!this.teamTotalsMesh) {
+            this.teamTotalsMesh = this.createBannerPanel();
+        }
+
+        const context = this.teamTotalsMesh.context;
+        const { width, height } = context.canvas;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = 'rgba(15, 15, 25, 0.95)';
+        context.fillRect(0, 0, width, height);
+
+        context.font = 'bold 72px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        const slotWidth = width / totals.length;
+        totals.forEach((team, index) => {
+            context.fillStyle = team.color;
+            context.fillText(`${team.name} ${team.score}`, slotWidth * (index + 0.5), height / 2, slotWidth - 20);
+        });
+
+        this.teamTotalsMesh.texture.needsUpdate = true;
+        this.teamTotalsMesh.mesh.visible = true;
+    }
+
+    // A strip just above the leaderboard's frame for team totals or the wave counter
+    createBannerPanel() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1024;
+        canvas.height = 160;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(4, 0.625), material);
+        mesh.position.set(0, 3.6, 0);
+        this.scoreGroup.add(mesh);
+
+        return {
+            mesh: mesh,
+            texture: texture,
+            context: canvas.getContext('2d')
+        };
+    }
+
+    // state: the server's waveState, or null to hide the counter
+    updateWaveCounter(state) {
+        if (!state) {
+            if (this.waveMesh) this.waveMesh.mesh.visible = false;
+            return;
+        }
+        if (!this.waveMesh) {
+            this.waveMesh = this.createBannerPanel();
+        }
+        this.drawBannerText(this.waveMesh, formatWaveState(state), state.status === 'failed' ? '#ff6b6b' : '#00ffff');
+    }
+
+    // state: the server's courseState, or null to hide the progress banner
+    updateCourseProgress(state) {
+        if (!state) {
+            if (this.courseMesh) this.courseMesh.mesh.visible = false;
+            return;
+        }
+        if (!this.courseMesh) {
+            this.courseMesh = this.createBannerPanel();
+        }
+        this.drawBannerText(this.courseMesh, formatCourseState(state), '#00ffff');
+    }
+
+    // text: formatEliminationState() for the room, or null to hide the banner
+    updateEliminationBanner(text) {
+        if (!text) {
+            if (this.eliminationMesh) this.eliminationMesh.mesh.visible = false;
+            return;
+        }
+        if (!this.eliminationMesh) {
+            this.eliminationMesh = this.createBannerPanel();
+        }
+        this.drawBannerText(this.eliminationMesh, text, '#00ffff');
+    }
+
+    drawBannerText(banner, text, color) {
+        const context = banner.context;
+        const { width, height } = context.canvas;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = 'rgba(15, 15, 25, 0.95)';
+        context.fillRect(0, 0, width, height);
+
+        context.fillStyle = color;
+        context.font = 'bold 72px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, width / 2, height / 2, width - 40);
+
+        banner.texture.needsUpdate = true;
+        banner.mesh.visible = true;
+    }
+
+    showResults(results, heading = 'MATCH RESULTS') {
+        const { players } = results;
+        if (!this.resultsMesh) {
+            this.createResultsPanel();
+        }
+
+        const context = this.resultsMesh.context;
+        const { width, height } = context.canvas;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = 'rgba(15, 15, 25, 0.95)';
+        context.fillRect(0, 0, width, height);
+
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 56px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(heading, width / 2, 50);
+
+        // Team and elimination matches name the winner, and courses the run time, under the title
+        // and push the table down a line
+        let tableTop = 130;
+        const summary = formatResultsSummary(results);
+        if (summary) {
+            context.fillStyle = summary.color;
+            context.font = 'bold 40px Arial';
+            context.fillText(`${summary.headline}  ${summary.detail}`, width / 2, 110, width - 80);
+            tableTop = 170;
+        }
+
+        // Name column left-aligned, numbers right-aligned in fixed columns
+        const columnX = [40, 500, 590, 690, 800, 910, 1000];
+        const rows = [RESULT_COLUMNS].concat(players.slice(0, 8).map(formatResultRow));
+        context.font = 'bold 36px Arial';
+        rows.forEach((values, index) => {
+            const y = tableTop + index * 55;
+            const isLocalPlayer = index > 0 && players[index - 1].id === this.engine.networkManager.localPlayerId;
+            context.fillStyle = index === 0 ? '#888888' : isLocalPlayer ? '#00ffff' : '#ccffff';
+            values.forEach((value, column) => {
+                context.textAlign = column === 0 ? 'left' : 'right';
+                context.fillText(String(value), columnX[column], y, column === 0 ? 360 : 100);
+            });
+        });
+
+        this.resultsMesh.texture.needsUpdate = true;
+        this.resultsMesh.mesh.visible = true;
+    }
+
+    hideResults() {
+        if (this.resultsMesh) {
+            this.resultsMesh.mesh.visible = false;
+        }
+    }
+
+    createResultsPanel() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1024;
+        canvas.height = 640;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        // To the right of the leaderboard, on the same wall
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(4, 2.5), material);
+        mesh.position.set(4.4, 1.5, 0);
+        mesh.visible = false;
+        this.scoreGroup.add(mesh);
+
+        this.resultsMesh = {
+            mesh: mesh,
+            texture: texture,
+            context: canvas.getContext('2d')
+        };
+    }
+
     removePlayer(playerId) {
         if (this.textMeshes.has(playerId)) {
             const display = this.textMeshes.get(playerId);
@@ -400,17 +592,12 @@ export class VRScoreUI {
     }
 
     updateTimer() {
-        if (!this.timerMesh || !this.engine.uiManager.gameStarted) return;
-        
-        const currentTime = Date.now();
-        const elapsedTime = currentTime - this.engine.uiManager.gameStartTime;
-        const remainingTime = Math.max(0, this.engine.uiManager.gameDuration - elapsedTime);
-        
-        // Convert to seconds and format
-        const seconds = Math.ceil(remainingTime / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-        const timeText = `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+        if (!this.timerMesh) return;
+
+        // UIManager formats the countdown or remaining match time
+        const timeText = this.engine.uiManager.timerText;
+        if (timeText === this.lastTimerText) return;
+        this.lastTimerText = timeText;
         
         // Update canvas
         const context = this.timerMesh.context;
@@ -442,7 +629,7 @@ export class VRScoreUI {
         this.updateTimer();
 
         // Check for start button interaction
-        if (this.startButton && !this.engine.uiManager.gameStarted) {
+        if (this.startButton && this.engine.uiManager.matchPhase === 'lobby') {
             const session = this.engine.renderer.xr.getSession();
             
             if (session) {
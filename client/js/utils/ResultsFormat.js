@@ -0,0 +1,80 @@
+// Shared layout for the end-of-match results panels and wave counter in the DOM and in VR
+export const RESULT_COLUMNS = ['Player', 'Shots', 'Hits', 'Acc', 'TTK', 'Longest', 'Streak'];
+
+// Headline shown above the results table: the winning team for team matches,
+// e.g. "RED TEAM WINS" with "Red 120 - Blue 80", the course and its time for
+// time-attack runs, or the last player standing in elimination matches.
+// Null for modes without one.
+export function formatResultsSummary(results) {
+    if (results.teams) {
+        const winner = results.teams.find(team => team.id === results.winningTeam);
+        return {
+            headline: winner ? `${winner.name.toUpperCase()} TEAM WINS` : 'DRAW',
+            detail: results.teams.map(team => `${team.name} ${team.score}`).join(' - '),
+            color: winner ? winner.color : '#ffffff'
+        };
+    }
+    if (results.elimination) {
+        const { winner, color, standings } = results.elimination;
+        return {
+            headline: winner ? `${winner.toUpperCase()} IS LAST STANDING` : 'DRAW',
+            detail: standings.map(player => `${player.name} ${player.targetsLeft > 0 ? player.targetsLeft : 'out'}`).join(' - '),
+            color: color ?? '#ffffff'
+        };
+    }
+    if (results.course) {
+        return {
+            headline: results.course.name.toUpperCase(),
+            detail: results.course.completionTime !== null ?
+                `Completed in ${formatSeconds(results.course.completionTime)}` :
+                'Out of time',
+            color: '#00ffff'
+        };
+    }
+    return null;
+}
+
+// Time-attack progress, e.g. "Gallery Basics · 7/10 targets"
+export function formatCourseState(state) {
+    if (state.completionTime !== null) {
+        return `${state.name} · done in ${formatSeconds(state.completionTime)}`;
+    }
+    if (state.startTime === null) {
+        return `${state.name} · ${state.total} targets`;
+    }
+    return `${state.name} · ${state.resolved}/${state.total} targets`;
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Wave mode counter, e.g. "Wave 3 · 7 lives · 5 left"
+export function formatWaveState(state) {
+    const progress = state.status === 'cleared' ? 'cleared!' :
+        state.status === 'failed' ? 'failed' :
+        `${state.remaining} left`;
+    return `Wave ${state.wave} · ${state.lives} ${state.lives === 1 ? 'life' : 'lives'} · ${progress}`;
+}
+
+// Elimination targets left per player, e.g. "Ana 3 · Bo out · Cy 5".
+// getName maps a player id to a display name.
+export function formatEliminationState(state, getName) {
+    return state.players
+        .map(player => `${getName(player.id)} ${player.eliminated ? 'out' : player.remaining}`)
+        .join(' · ');
+}
+
+// One row of the server's matchResults: name, shots, hits, accuracy,
+// average time-to-kill, longest shot and best streak
+export function formatResultRow(player) {
+    return [
+        player.name,
+        player.shots,
+        player.hits,
+        `${Math.round(player.accuracy * 100)}%`,
+        player.averageTimeToKill === null ? '-' : `${(player.averageTimeToKill / 1000).toFixed(1)}s`,
+        `${player.longestShot.toFixed(1)}m`,
+        player.bestStreak
+    ];
+}
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const shared = require('./shared');
+
+// Time-attack course files (*.json) read from a directory on startup.
+// Courses are kept as written, for clients to fetch, and resolved into
+// their full schedule for the server's own use.
+class CourseLibrary {
+    constructor(directory) {
+        this.directory = directory;
+        this.courses = new Map(); // id -> { course, resolved }
+    }
+
+    async load() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return; // No courses installed
+            throw error;
+        }
+
+        for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+            try {
+                const course = JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+                const problem = shared.courses.validateCourse(course);
+                if (problem) {
+                    console.warn(`Skipping course ${file}: ${problem}`);
+                    continue;
+                }
+                if (this.courses.has(course.id)) {
+                    console.warn(`Skipping course ${file}: duplicate id ${course.id}`);
+                    continue;
+                }
+                this.courses.set(course.id, { course, resolved: shared.courses.resolveCourse(course) });
+            } catch (error) {
+                console.warn(`Skipping unreadable course ${file}: ${error.message}`);
+            }
+        }
+        console.log(`Loaded ${this.courses.size} courses from ${this.directory}`);
+    }
+
+    has(id) {
+        return this.courses.has(id);
+    }
+
+    // The course file as written, for clients to resolve themselves
+    get(id) {
+        return this.courses.get(id)?.course ?? null;
+    }
+
+    getResolved(id) {
+        return this.courses.get(id)?.resolved ?? null;
+    }
+
+    list() {
+        return Array.from(this.courses.values(), ({ resolved }) => ({
+            id: resolved.id,
+            name: resolved.name,
+            targetCount: resolved.targets.length,
+            duration: resolved.duration
+        }));
+    }
+}
+
+module.exports = CourseLibrary;
@@ -0,0 +1,70 @@
+// Server-owned progress through a time-attack course for one room. The host
+// spawns the course's targets in order; the run completes once every target
+// has been destroyed or timed out, and its completion time is what players compare.
+class CourseRun {
+    constructor(course) {
+        this.course = course; // shared/courses.js resolveCourse() result
+        this.onChange = null; // Called with getState() whenever the run moves on
+        this.onComplete = null; // Called once every target is resolved
+        this.reset();
+    }
+
+    reset() {
+        this.startTime = null;
+        this.spawned = 0;
+        this.resolved = 0;
+        this.completedAt = null;
+    }
+
+    start(startTime) {
+        this.reset();
+        this.startTime = startTime;
+        this.notify();
+    }
+
+    // The host's next target with its scheduled spawn time, or null once all are out
+    spawnTarget() {
+        if (this.startTime === null || this.spawned >= this.course.targets.length) return null;
+        const target = this.course.targets[this.spawned++];
+        this.notify();
+        return { ...target, spawnTime: this.startTime + target.delay };
+    }
+
+    targetResolved(time = Date.now()) {
+        if (this.startTime === null || this.completedAt !== null) return;
+        this.resolved++;
+        if (this.resolved >= this.course.targets.length) {
+            this.completedAt = time;
+        }
+        this.notify();
+        if (this.completedAt !== null && this.onComplete) this.onComplete();
+    }
+
+    // ms from the start of the match to the last target, or null if unfinished
+    get completionTime() {
+        return this.completedAt !== null ? this.completedAt - this.startTime : null;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.getState());
+    }
+
+    getState() {
+        return {
+            courseId: this.course.id,
+            name: this.course.name,
+            total: this.course.targets.length,
+            spawned: this.spawned,
+            resolved: this.resolved,
+            startTime: this.startTime,
+            completionTime: this.completionTime
+        };
+    }
+
+    dispose() {
+        this.onChange = null;
+        this.onComplete = null;
+    }
+}
+
+module.exports = CourseRun;
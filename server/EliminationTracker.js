@@ -0,0 +1,122 @@
+const shared = require('./shared');
+
+// Server-owned state of a "last target standing" match for one room: which
+// players own targets, how many of theirs have been spawned and shot down, and
+// the order they were knocked out in. The match ends when one player is left.
+class EliminationTracker {
+    constructor() {
+        this.onChange = null; // Called with getState() whenever a player's targets change
+        this.onLastStanding = null; // Called once only one player has targets left
+        this.reset();
+    }
+
+    reset() {
+        this.status = 'idle'; // idle, active or finished
+        this.players = new Map(); // clientId -> { slot, spawned, destroyed, eliminatedAt }
+        this.eliminated = []; // Client ids in the order they went out
+        this.winnerId = null;
+    }
+
+    // playerIds: everyone in the match, in the order their sides are laid out
+    start(playerIds) {
+        this.reset();
+        this.status = 'active';
+        playerIds.forEach((id, slot) => {
+            this.players.set(id, { slot, spawned: 0, destroyed: 0, eliminatedAt: null });
+        });
+        this.notify();
+    }
+
+    // The position for the host's next target for `owner`, kept on the owner's
+    // side, or null if the owner is out or already has all their targets
+    spawnTarget(owner, position) {
+        const player = this.players.get(owner);
+        if (this.status !== 'active' || !player || player.eliminatedAt !== null) return null;
+        if (player.spawned >= shared.elimination.TARGETS_PER_PLAYER) return null;
+
+        player.spawned++;
+        this.notify();
+        return shared.elimination.clampToSide(position, player.slot, this.players.size);
+    }
+
+    targetDestroyed(owner) {
+        const player = this.players.get(owner);
+        if (this.status !== 'active' || !player || player.eliminatedAt !== null) return;
+
+        player.destroyed++;
+        if (player.destroyed >= shared.elimination.TARGETS_PER_PLAYER) {
+            this.eliminate(owner);
+        } else {
+            this.notify();
+        }
+    }
+
+    // A player who leaves mid-match forfeits
+    playerLeft(id) {
+        const player = this.players.get(id);
+        if (this.status !== 'active' || !player || player.eliminatedAt !== null) return;
+        this.eliminate(id);
+    }
+
+    eliminate(id) {
+        this.players.get(id).eliminatedAt = Date.now();
+        this.eliminated.push(id);
+
+        const remaining = Array.from(this.players).filter(([, player]) => player.eliminatedAt === null);
+        if (remaining.length <= 1) {
+            this.status = 'finished';
+            this.winnerId = remaining.length === 1 ? remaining[0][0] : null;
+        }
+        this.notify();
+        if (this.status === 'finished' && this.onLastStanding) this.onLastStanding();
+    }
+
+    // Eliminated players can't shoot; late joiners were never in and can
+    isEliminated(id) {
+        return this.players.get(id)?.eliminatedAt != null;
+    }
+
+    // Everyone still in, most targets left first, then everyone out, last out first.
+    // A match that runs out of time is won by the single player with the most targets left.
+    getStandings() {
+        const remaining = Array.from(this.players)
+            .filter(([, player]) => player.eliminatedAt === null)
+            .map(([id, player]) => ({ id, targetsLeft: shared.elimination.TARGETS_PER_PLAYER - player.destroyed }))
+            .sort((a, b) => b.targetsLeft - a.targetsLeft);
+        const out = this.eliminated.slice().reverse().map(id => ({ id, targetsLeft: 0 }));
+        return remaining.concat(out);
+    }
+
+    getWinnerId() {
+        if (this.winnerId !== null) return this.winnerId;
+        const [first, second] = this.getStandings();
+        if (!first || first.targetsLeft === 0) return null;
+        return !second || first.targetsLeft > second.targetsLeft ? first.id : null;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.getState());
+    }
+
+    getState() {
+        return {
+            status: this.status,
+            targetsPerPlayer: shared.elimination.TARGETS_PER_PLAYER,
+            players: Array.from(this.players, ([id, player]) => ({
+                id,
+                slot: player.slot,
+                spawned: player.spawned,
+                remaining: shared.elimination.TARGETS_PER_PLAYER - player.destroyed,
+                eliminated: player.eliminatedAt !== null
+            })),
+            winnerId: this.winnerId
+        };
+    }
+
+    dispose() {
+        this.onChange = null;
+        this.onLastStanding = null;
+    }
+}
+
+module.exports = EliminationTracker;
@@ -0,0 +1,294 @@
+// Authoritative bullet/target simulation for a single room.
+// Constants mirror the client-side Bullet and HolographicBall entities.
+const shared = require('./shared');
+
+const BULLET_LIFESPAN = 2000;   // ms, same as Bullet.lifespan
+const MAX_BULLET_SPEED = 60;    // m/s, fastest bullet a client may claim
+const HIT_RADIUS = 0.2;         // 20cm collision radius, same as BirdManager
+const BULLET_DAMAGE = 25;
+const TARGET_HEALTH = 25;
+const TARGET_LIFESPAN = 50000;  // ms, same as HolographicBall.lifespan
+const WORLD_LIMIT = 50;         // Bullets beyond this are out of bounds
+const MAX_LAG_COMPENSATION = 250; // ms a shot may be rewound to its fire time
+
+function isVector3(value) {
+    return Array.isArray(value) &&
+        value.length === 3 &&
+        value.every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+// Targets move in a straight line from their spawn point (wave mode), along a
+// scripted path (time-attack courses) or by a seeded movement behaviour (classic);
+// the rest stand still
+function targetAt(target, time) {
+    if (target.positionAt) return target.positionAt(Math.max(0, time - target.spawnTime), target.shots);
+    const distance = target.speed * Math.max(0, time - target.spawnTime) / 1000;
+    return [
+        target.position[0] + target.direction[0] * distance,
+        target.position[1] + target.direction[1] * distance,
+        target.position[2] + target.direction[2] * distance
+    ];
+}
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function pointAt(bullet, time) {
+    const distance = bullet.speed * (time - bullet.spawnTime) / 1000;
+    return [
+        bullet.origin[0] + bullet.direction[0] * distance,
+        bullet.origin[1] + bullet.direction[1] * distance,
+        bullet.origin[2] + bullet.direction[2] * distance
+    ];
+}
+
+// Returns the fraction (0..1) along segment p0->p1 closest to center,
+// or -1 if the segment never comes within radius of it
+function segmentHitsSphere(p0, p1, center, radius) {
+    const d = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+    const m = [center[0] - p0[0], center[1] - p0[1], center[2] - p0[2]];
+    const lengthSq = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    let t = lengthSq > 0 ? (m[0] * d[0] + m[1] * d[1] + m[2] * d[2]) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+
+    const dx = p0[0] + d[0] * t - center[0];
+    const dy = p0[1] + d[1] * t - center[1];
+    const dz = p0[2] + d[2] * t - center[2];
+    return dx * dx + dy * dy + dz * dz <= radius * radius ? t : -1;
+}
+
+class HitResolver {
+    constructor() {
+        this.targets = new Map(); // targetId -> { id, type, position, direction, speed, positionAt, movement, shots, health, points, courseIndex, owner, spawnTime, expiresAt }
+        this.bullets = [];
+        this.onHit = null; // Called with the shooter id for every bullet that hits a target
+        this.onMiss = null; // Called with the shooter id for every bullet that expires without hitting
+        this.onEscape = null; // Called with each target that outlives its lifespan
+    }
+
+    // state is a HolographicBall.getNetworkState() entry sent by the host.
+    // options holds what the server decides itself: { type, speed, health, lifespan } in
+    // wave mode, { positionAt(elapsed), points, courseIndex, lifespan } for course targets,
+    // { owner, persistent } in elimination mode, where targets stay up until shot, and
+    // { movement, positionAt(elapsed, shots), evadesShots } for classic targets with a
+    // shared/movement.js behaviour; evasive ones are told about every shot fired after they spawn,
+    // including the ones recorded before the host's spawn message got here
+    addTarget(state, now = Date.now(), options = {}) {
+        if (!state || typeof state.id !== 'string' || !isVector3(state.position)) return false;
+
+        let direction = isVector3(state.direction) ? state.direction.slice() : [0, 0, 0];
+        const length = Math.hypot(...direction);
+        direction = length > 0 ? direction.map(n => n / length) : [0, 0, 0];
+
+        const target = {
+            id: state.id,
+            type: options.type ?? (typeof state.type === 'string' ? state.type : shared.scoring.DEFAULT_TARGET_TYPE),
+            position: state.position.slice(),
+            direction,
+            speed: options.speed ?? 0,
+            positionAt: options.positionAt ?? null,
+            movement: options.movement ?? null,
+            shots: options.evadesShots ? [] : null,
+            health: options.health ?? TARGET_HEALTH,
+            points: options.points ?? null,
+            courseIndex: options.courseIndex ?? null,
+            owner: options.owner ?? null,
+            spawnTime: typeof state.spawnTime === 'number' ? state.spawnTime : now,
+            expiresAt: options.persistent ? Infinity : now + Math.min(TARGET_LIFESPAN, options.lifespan ?? TARGET_LIFESPAN)
+        };
+        if (target.shots) {
+            for (const bullet of this.bullets) {
+                if (bullet.spawnTime >= target.spawnTime) {
+                    shared.movement.insertShot(target.shots, {
+                        time: bullet.spawnTime - target.spawnTime,
+                        origin: bullet.origin.slice(),
+                        direction: bullet.direction.slice()
+                    });
+                }
+            }
+        }
+        this.targets.set(state.id, target);
+        return true;
+    }
+
+    // The shots an evasive target has been told about, or null for any other target
+    getTargetShots(id) {
+        const shots = this.targets.get(id)?.shots;
+        return shots ? shots.map(shot => ({ ...shot })) : null;
+    }
+
+    // Live targets in the same shape as HolographicBall.getNetworkState()
+    getTargetStates(now = Date.now()) {
+        return Array.from(this.targets.values())
+            .filter(target => now <= target.expiresAt)
+            .map(target => ({
+                id: target.id,
+                type: target.type,
+                position: target.position.slice(),
+                direction: target.direction.slice(),
+                speed: target.speed,
+                movement: target.movement,
+                shots: target.shots ? target.shots.map(shot => ({ ...shot })) : null,
+                health: target.health,
+                courseIndex: target.courseIndex,
+                owner: target.owner,
+                spawnTime: target.spawnTime
+            }));
+    }
+
+    removeTarget(id) {
+        return this.targets.delete(id);
+    }
+
+    // Removes every target a player owns and returns their ids
+    removeOwnedTargets(owner) {
+        const ids = [];
+        for (const [id, target] of this.targets) {
+            if (target.owner === owner) {
+                this.targets.delete(id);
+                ids.push(id);
+            }
+        }
+        return ids;
+    }
+
+    hasTargets() {
+        return this.targets.size > 0;
+    }
+
+    addBullet(shooterId, data, now = Date.now()) {
+        if (!data || !isVector3(data.position) || !isVector3(data.direction)) return false;
+
+        const [x, y, z] = data.direction;
+        const length = Math.sqrt(x * x + y * y + z * z);
+        if (length === 0) return false;
+
+        const speed = typeof data.speed === 'number' && Number.isFinite(data.speed) ?
+            Math.max(0, Math.min(MAX_BULLET_SPEED, data.speed)) : 0;
+        if (speed === 0) return false;
+
+        const spawnTime = this.resolveShotTime(data.time, now);
+        const direction = [x / length, y / length, z / length];
+
+        for (const target of this.targets.values()) {
+            if (target.shots && spawnTime >= target.spawnTime) {
+                shared.movement.insertShot(target.shots, {
+                    time: spawnTime - target.spawnTime,
+                    origin: data.position.slice(),
+                    direction
+                });
+            }
+        }
+
+        this.bullets.push({
+            shooterId,
+            origin: data.position.slice(),
+            direction,
+            speed,
+            spawnTime,
+            lastTime: spawnTime
+        });
+        return true;
+    }
+
+    // Shots carry the shooter's estimate of server time; trust it within limits
+    resolveShotTime(time, now = Date.now()) {
+        return typeof time === 'number' && Number.isFinite(time) ?
+            Math.max(now - MAX_LAG_COMPENSATION, Math.min(now, time)) : now;
+    }
+
+    hasBullets() {
+        return this.bullets.length > 0;
+    }
+
+    reset() {
+        this.targets.clear();
+        this.bullets = [];
+    }
+
+    // Advance every bullet to `now` and return the targets destroyed this step,
+    // each credited to the shooter whose bullet reached it first
+    step(now = Date.now()) {
+        const candidates = [];
+
+        for (const bullet of this.bullets) {
+            const endTime = Math.min(now, bullet.spawnTime + BULLET_LIFESPAN);
+            if (endTime <= bullet.lastTime) continue;
+
+            const from = pointAt(bullet, bullet.lastTime);
+            const to = pointAt(bullet, endTime);
+
+            for (const target of this.targets.values()) {
+                // Shots pass through the shooter's own targets
+                if (target.owner === bullet.shooterId) continue;
+
+                // Test in the target's frame so moving targets are swept exactly
+                const t = segmentHitsSphere(
+                    subtract(from, targetAt(target, bullet.lastTime)),
+                    subtract(to, targetAt(target, endTime)),
+                    [0, 0, 0],
+                    HIT_RADIUS
+                );
+                if (t >= 0) {
+                    candidates.push({
+                        bullet,
+                        target,
+                        time: bullet.lastTime + (endTime - bullet.lastTime) * t
+                    });
+                }
+            }
+
+            bullet.lastTime = endTime;
+            bullet.expired = endTime >= bullet.spawnTime + BULLET_LIFESPAN ||
+                to.some(n => Math.abs(n) > WORLD_LIMIT);
+        }
+
+        // Resolve in the order the hits actually happened
+        candidates.sort((a, b) => a.time - b.time);
+
+        const kills = [];
+        for (const { bullet, target, time } of candidates) {
+            if (bullet.consumed || !this.targets.has(target.id)) continue;
+
+            bullet.consumed = true;
+            if (this.onHit) this.onHit(bullet.shooterId);
+            target.health -= BULLET_DAMAGE;
+            if (target.health <= 0) {
+                this.targets.delete(target.id);
+                const position = targetAt(target, time);
+                kills.push({
+                    id: target.id,
+                    type: target.type,
+                    points: target.points,
+                    owner: target.owner,
+                    position,
+                    shooterId: bullet.shooterId,
+                    time,
+                    spawnTime: target.spawnTime,
+                    distance: Math.hypot(
+                        position[0] - bullet.origin[0],
+                        position[1] - bullet.origin[1],
+                        position[2] - bullet.origin[2]
+                    )
+                });
+            }
+        }
+
+        this.bullets = this.bullets.filter(bullet => {
+            if (bullet.expired && !bullet.consumed && this.onMiss) this.onMiss(bullet.shooterId);
+            return !bullet.consumed && !bullet.expired;
+        });
+
+        for (const [id, target] of this.targets) {
+            if (now > target.expiresAt) {
+                this.targets.delete(id);
+                if (this.onEscape) this.onEscape(target);
+            }
+        }
+
+        return kills;
+    }
+}
+
+module.exports = HitResolver;
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const RECENT_MATCHES = 20; // Matches listed on a player's page
+const DEFAULT_NAME = /^Player \d+$/; // What Room.addProfile calls players who didn't pick a name
+
+// Finished matches, appended one JSON object per line. The whole history is
+// kept in memory for the leaderboard queries and read back on startup.
+class MatchHistory {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.matches = [];
+        this.writeQueue = Promise.resolve(); // Keeps appends in order
+    }
+
+    async load() {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return; // No matches played yet
+            throw error;
+        }
+
+        // A crash mid-write can leave a partial last line; skip anything unreadable
+        contents.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                this.matches.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Skipping unreadable match history line ${index + 1}`);
+            }
+        });
+        console.log(`Loaded ${this.matches.length} matches from ${this.filePath}`);
+    }
+
+    // match: { roomCode, roomName, gameMode, courseId, completionTime, startedAt, endedAt,
+    // players, teams, winningTeam, lastStanding } in the shape of Room.getResults(), with each
+    // player's profileId in place of their connection id
+    record(match) {
+        const entry = {
+            id: crypto.randomUUID(),
+            ...match,
+            duration: match.endedAt - match.startedAt
+        };
+        this.matches.push(entry);
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n'))
+            .catch(error => console.error('Failed to save match history:', error));
+        return entry;
+    }
+
+    // Totals per player across every match that ended after `since`
+    getLeaderboard({ since = 0, limit = 20 } = {}) {
+        return Array.from(this.getTotals(since).values())
+            .filter(entry => entry.name !== null)
+            .map(({ lastPlayed, ...entry }) => ({ ...entry, accuracy: entry.shots > 0 ? entry.hits / entry.shots : 0 }))
+            .sort((a, b) => b.score - a.score || b.bestScore - a.bestScore)
+            .slice(0, limit);
+    }
+
+    // identity -> totals, named after the last name the player picked themselves
+    // (null if they never did)
+    getTotals(since = 0) {
+        const totals = new Map();
+        for (const match of this.matches) {
+            if (match.endedAt < since) continue;
+            for (const player of match.players) {
+                const identity = getIdentity(player);
+                if (!identity) continue;
+                let entry = totals.get(identity);
+                if (!entry) {
+                    entry = { name: null, matches: 0, score: 0, bestScore: 0, kills: 0, shots: 0, hits: 0, lastPlayed: 0 };
+                    totals.set(identity, entry);
+                }
+                if (!DEFAULT_NAME.test(player.name)) entry.name = player.name;
+                entry.matches++;
+                entry.score += player.score;
+                entry.bestScore = Math.max(entry.bestScore, player.score);
+                entry.kills += player.kills;
+                entry.shots += player.shots;
+                entry.hits += player.hits;
+                entry.lastPlayed = match.endedAt;
+            }
+        }
+        return totals;
+    }
+
+    getWeeklyLeaderboard(options = {}, now = Date.now()) {
+        return this.getLeaderboard({ ...options, since: now - WEEK });
+    }
+
+    // Each player's best run of a time-attack course: highest score, then fastest
+    // completion. Unfinished runs rank below finished ones with the same score.
+    getCourseLeaderboard(courseId, { limit = 20 } = {}) {
+        const best = new Map(); // identity -> run
+        for (const match of this.matches) {
+            if (match.courseId !== courseId) continue;
+            for (const player of match.players) {
+                const identity = getIdentity(player);
+                if (!identity || DEFAULT_NAME.test(player.name)) continue;
+                const run = {
+                    name: player.name,
+                    score: player.score,
+                    completionTime: match.completionTime ?? null,
+                    kills: player.kills,
+                    accuracy: player.accuracy,
+                    endedAt: match.endedAt
+                };
+                const current = best.get(identity);
+                if (!current || compareRuns(run, current) < 0) {
+                    best.set(identity, run);
+                }
+            }
+        }
+        return Array.from(best.values()).sort(compareRuns).slice(0, limit);
+    }
+
+    // A player's totals and their most recent matches, or null if no one plays
+    // under that name. If several players have, it's whoever played last.
+    getPlayer(name) {
+        const key = name.toLowerCase();
+        let found = null;
+        for (const [identity, entry] of this.getTotals()) {
+            if (entry.name?.toLowerCase() === key && (!found || entry.lastPlayed > found.entry.lastPlayed)) {
+                found = { identity, entry };
+            }
+        }
+        if (!found) return null;
+
+        const { lastPlayed, ...totals } = found.entry;
+        const played = this.matches.filter(match =>
+            match.players.some(player => getIdentity(player) === found.identity));
+        const recent = played.slice(-RECENT_MATCHES).reverse().map(match => {
+            const player = match.players.find(p => getIdentity(p) === found.identity);
+            return {
+                id: match.id,
+                roomName: match.roomName,
+                gameMode: match.gameMode,
+                endedAt: match.endedAt,
+                duration: match.duration,
+                playerCount: match.players.length,
+                score: player.score,
+                kills: player.kills,
+                shots: player.shots,
+                accuracy: player.accuracy
+            };
+        });
+
+        return { ...totals, accuracy: totals.shots > 0 ? totals.hits / totals.shots : 0, recent };
+    }
+}
+
+// Who a recorded player is: the digest of their profile key or, for players
+// without one, their name. Unnamed players without a key are all "Player <connection id>"
+// and can't be told apart, so they have no identity and stay off the boards.
+function getIdentity(player) {
+    if (player.profileId) return `profile:${player.profileId}`;
+    if (DEFAULT_NAME.test(player.name)) return null;
+    return `name:${player.name.toLowerCase()}`;
+}
+
+// Sorts better course runs first
+function compareRuns(a, b) {
+    if (a.score !== b.score) return b.score - a.score;
+    if (a.completionTime === b.completionTime) return 0;
+    if (a.completionTime === null) return 1;
+    if (b.completionTime === null) return -1;
+    return a.completionTime - b.completionTime;
+}
+
+module.exports = MatchHistory;
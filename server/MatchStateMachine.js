@@ -0,0 +1,116 @@
+// Server-owned match flow for a room: lobby -> countdown -> playing -> results -> lobby
+const PHASES = {
+    LOBBY: 'lobby',
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    RESULTS: 'results'
+};
+
+const DEFAULT_OPTIONS = {
+    countdownDuration: 3000,  // 3 seconds
+    matchDuration: 120000,    // 120 seconds
+    resultsDuration: 10000,   // 10 seconds
+    minPlayers: 1,
+    // Readiness rule checked before a start request is accepted.
+    // Returns an error message, or null when the room may start.
+    readinessRule: (playerCount, options) => {
+        if (playerCount < options.minPlayers) {
+            return `At least ${options.minPlayers} players are needed to start`;
+        }
+        return null;
+    }
+};
+
+class MatchStateMachine {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.phase = PHASES.LOBBY;
+        this.phaseStartTime = Date.now();
+        this.phaseEndTime = null;
+        this.startTime = null;
+        this.timer = null;
+        this.onPhaseChange = null; // Callback for when the phase changes
+    }
+
+    // Returns an error message if the start is refused, null otherwise
+    requestStart(playerCount) {
+        if (this.phase !== PHASES.LOBBY) {
+            return 'A match is already in progress';
+        }
+
+        const reason = this.options.readinessRule(playerCount, this.options);
+        if (reason) {
+            return reason;
+        }
+
+        this.transition(PHASES.COUNTDOWN, this.options.countdownDuration);
+        return null;
+    }
+
+    // Ends a match before its time is up, e.g. when a co-op room runs out of lives
+    finish() {
+        if (this.phase === PHASES.PLAYING) {
+            this.transition(PHASES.RESULTS, this.options.resultsDuration);
+        }
+    }
+
+    transition(phase, duration = null) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        this.phase = phase;
+        this.phaseStartTime = now;
+        this.phaseEndTime = duration !== null ? now + duration : null;
+
+        if (phase === PHASES.PLAYING) {
+            this.startTime = now;
+        } else if (phase === PHASES.LOBBY) {
+            this.startTime = null;
+        }
+
+        console.log(`Match phase -> ${phase}`);
+        if (this.onPhaseChange) {
+            this.onPhaseChange(this.getState());
+        }
+
+        if (duration !== null) {
+            this.timer = setTimeout(() => this.advance(), duration);
+        }
+    }
+
+    advance() {
+        switch (this.phase) {
+            case PHASES.COUNTDOWN:
+                this.transition(PHASES.PLAYING, this.options.matchDuration);
+                break;
+            case PHASES.PLAYING:
+                this.transition(PHASES.RESULTS, this.options.resultsDuration);
+                break;
+            case PHASES.RESULTS:
+                this.transition(PHASES.LOBBY);
+                break;
+        }
+    }
+
+    getState() {
+        return {
+            phase: this.phase,
+            phaseStartTime: this.phaseStartTime,
+            phaseEndTime: this.phaseEndTime,
+            startTime: this.startTime,
+            duration: this.options.matchDuration,
+            serverTime: Date.now()
+        };
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.onPhaseChange = null;
+    }
+}
+
+MatchStateMachine.PHASES = PHASES;
+
+module.exports = MatchStateMachine;
@@ -0,0 +1,261 @@
+const Room = require('./Room');
+
+// Declarative schemas for every JSON message a client may send.
+// A check returns an error string or null. Objects are strict: fields that are
+// not declared fail validation rather than being relayed to other clients.
+
+function number(options = {}) {
+    return value => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'expected a number';
+        if (options.min !== undefined && value < options.min) return `below ${options.min}`;
+        if (options.max !== undefined && value > options.max) return `above ${options.max}`;
+        return null;
+    };
+}
+
+function integer(options = {}) {
+    const check = number(options);
+    return value => Number.isInteger(value) ? check(value) : 'expected an integer';
+}
+
+function string(options = {}) {
+    return value => {
+        if (typeof value !== 'string') return 'expected a string';
+        if (value.length > (options.maxLength ?? 256)) return 'too long';
+        if (options.pattern && !options.pattern.test(value)) return 'bad format';
+        if (options.oneOf && !options.oneOf.includes(value)) return `expected one of ${options.oneOf.join(', ')}`;
+        return null;
+    };
+}
+
+function boolean() {
+    return value => typeof value === 'boolean' ? null : 'expected a boolean';
+}
+
+function tuple(length, options = {}) {
+    const check = number(options);
+    return value => {
+        if (!Array.isArray(value) || value.length !== length) return `expected ${length} numbers`;
+        for (const n of value) {
+            if (check(n)) return check(n);
+        }
+        return null;
+    };
+}
+
+function arrayOf(itemCheck, maxLength) {
+    return value => {
+        if (!Array.isArray(value)) return 'expected an array';
+        if (value.length > maxLength) return 'too many items';
+        for (let i = 0; i < value.length; i++) {
+            const error = itemCheck(value[i]);
+            if (error) return `[${i}] ${error}`;
+        }
+        return null;
+    };
+}
+
+function object(shape) {
+    return value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'expected an object';
+
+        for (const key of Object.keys(value)) {
+            if (!Object.prototype.hasOwnProperty.call(shape, key)) return `unknown field '${key}'`;
+        }
+        for (const [key, check] of Object.entries(shape)) {
+            if (value[key] === undefined) {
+                if (!check.optional) return `missing field '${key}'`;
+                continue;
+            }
+            const error = check(value[key]);
+            if (error) return `${key}: ${error}`;
+        }
+        return null;
+    };
+}
+
+function optional(check) {
+    const wrapped = value => check(value);
+    wrapped.optional = true;
+    return wrapped;
+}
+
+function nullable(check) {
+    return value => value === null ? null : check(value);
+}
+
+const vector3 = tuple(3, { min: -1000, max: 1000 });
+const quaternion = tuple(4, { min: -1.01, max: 1.01 });
+const time = number({ min: 0 });
+const clientId = integer({ min: 1 });
+const roomCode = string({ maxLength: 32, pattern: /^[A-Za-z0-9_-]+$/ });
+const targetId = string({ maxLength: 64 });
+const sdp = string({ maxLength: 20000 });
+const passphrase = string({ maxLength: 64, pattern: /^.+$/ });
+
+// Chosen in the session UI; Room.addProfile fills in defaults and makes names unique
+const profile = object({
+    name: optional(string({ maxLength: Room.MAX_NAME_LENGTH, pattern: /^[^\x00-\x1f\x7f]*$/ })),
+    color: optional(string({ pattern: /^#[0-9a-fA-F]{6}$/ })),
+    key: optional(string({ maxLength: 64, pattern: /^[A-Za-z0-9-]+$/ })) // Stays the same between visits
+});
+
+const controller = object({
+    position: vector3,
+    rotation: quaternion
+});
+
+// Fields every message may carry besides its own; NetworkManager.send adds roomCode
+const ENVELOPE = {
+    roomCode: optional(roomCode)
+};
+
+// Ids a client sends about itself (id, playerId, shooterId) are accepted for
+// compatibility but always overwritten with the server's own record
+const MESSAGE_SCHEMAS = {
+    timeSync: {
+        clientTime: time
+    },
+    host: {
+        roomCode,
+        settings: optional(object({
+            name: optional(string({ maxLength: 32, pattern: /^[^\x00-\x1f\x7f]*$/ })),
+            maxPlayers: optional(integer({ min: 2, max: Room.MAX_ROOM_CAPACITY })),
+            maxSpectators: optional(integer({ min: 0, max: Room.MAX_SPECTATORS })),
+            isPublic: optional(boolean()),
+            gameMode: optional(string({ oneOf: Room.GAME_MODES })),
+            courseId: optional(string({ maxLength: 64, pattern: /^[a-z0-9-]+$/ })),
+            passphrase: optional(passphrase)
+        })),
+        profile: optional(profile)
+    },
+    join: {
+        roomCode,
+        passphrase: optional(passphrase),
+        profile: optional(profile)
+    },
+    redeemInvite: {
+        invite: string({ maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ }),
+        profile: optional(profile)
+    },
+    createInvite: {},
+    takeSlot: {},
+    autoJoin: {
+        profile: optional(profile)
+    },
+    listRooms: {},
+    resume: {
+        token: string({ maxLength: 64 })
+    },
+    leave: {},
+    requestStart: {},
+    position: {
+        id: optional(clientId),
+        time: optional(time),
+        position: vector3,
+        headPosition: vector3,
+        headRotation: optional(vector3),
+        headQuaternion: optional(quaternion),
+        controllers: optional(arrayOf(controller, 2))
+    },
+    bulletSpawned: {
+        data: object({
+            position: vector3,
+            direction: vector3,
+            speed: number({ min: 0, max: 1000 }),
+            time: optional(time),
+            shooterId: optional(nullable(clientId)),
+            playSound: optional(boolean())
+        })
+    },
+    birdSpawned: {
+        data: object({
+            id: targetId,
+            type: optional(string({ maxLength: 32 })),
+            position: vector3,
+            direction: vector3,
+            speed: optional(number({ min: 0, max: 100 })),
+            health: number({ min: 0, max: 1000 }),
+            courseIndex: optional(nullable(integer({ min: 0 }))),
+            owner: optional(nullable(clientId)),
+            movement: optional(nullable(object({
+                behavior: string({ maxLength: 16 }),
+                seed: integer({ min: 0, max: 0xffffffff })
+            }))),
+            spawnTime: optional(nullable(time))
+        })
+    },
+    birdRemoved: {
+        data: object({
+            id: targetId
+        })
+    },
+    birdKilled: {
+        data: object({
+            id: targetId,
+            position: optional(vector3),
+            shooterId: optional(clientId)
+        })
+    },
+    sphereSpawned: {
+        data: object({
+            id: targetId,
+            position: vector3
+        })
+    },
+    sphereRemoved: {
+        data: object({
+            id: targetId
+        })
+    },
+    voice_ready: {
+        playerId: optional(clientId)
+    },
+    voice_stop: {
+        playerId: optional(clientId)
+    },
+    voice_offer: {
+        playerId: optional(clientId),
+        targetId: clientId,
+        offer: object({
+            type: string({ oneOf: ['offer'] }),
+            sdp
+        })
+    },
+    voice_answer: {
+        playerId: optional(clientId),
+        targetId: clientId,
+        answer: object({
+            type: string({ oneOf: ['answer'] }),
+            sdp
+        })
+    },
+    voice_ice_candidate: {
+        playerId: optional(clientId),
+        targetId: clientId,
+        candidate: object({
+            candidate: string({ maxLength: 1024 }),
+            sdpMid: optional(nullable(string({ maxLength: 64 }))),
+            sdpMLineIndex: optional(nullable(integer({ min: 0, max: 255 }))),
+            usernameFragment: optional(nullable(string({ maxLength: 256 })))
+        })
+    }
+};
+
+const validators = new Map(Object.entries(MESSAGE_SCHEMAS).map(([type, shape]) => [
+    type,
+    object({ type: string(), ...ENVELOPE, ...shape })
+]));
+
+// Returns null if the message matches its type's schema, otherwise the reason it doesn't
+function validateMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) return 'not an object';
+    if (typeof message.type !== 'string') return 'missing type';
+
+    const validate = validators.get(message.type);
+    if (!validate) return `unknown message type '${message.type.slice(0, 32)}'`;
+
+    return validate(message);
+}
+
+module.exports = { validateMessage, MESSAGE_SCHEMAS };
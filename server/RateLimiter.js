@@ -0,0 +1,96 @@
+// Per-client flood protection: a token bucket per message type, plus a strike
+// count that escalates from silently dropping to warning to disconnecting.
+const DEFAULT_LIMITS = {
+    pose: { rate: 40, burst: 60 },          // Binary pose packets, sent at up to ~30Hz
+    position: { rate: 40, burst: 60 },
+    bulletSpawned: { rate: 10, burst: 15 },
+    birdSpawned: { rate: 10, burst: 20 },
+    birdRemoved: { rate: 10, burst: 20 },
+    timeSync: { rate: 2, burst: 10 },       // Room for the sync burst on connect
+    voice: { rate: 20, burst: 60 },         // ICE candidates arrive in bursts
+    default: { rate: 5, burst: 10 }
+};
+
+const DEFAULT_OPTIONS = {
+    strikeWindow: 10000,    // ms over which strikes are counted
+    warnStrikes: 20,        // Strikes in one window before the client is warned
+    disconnectStrikes: 100  // Strikes in one window before the client is dropped
+};
+
+class RateLimiter {
+    constructor(limits = DEFAULT_LIMITS, options = {}) {
+        this.limits = limits;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.buckets = new Map(); // bucket name -> { tokens, updatedAt }
+        this.counters = new Map(); // bucket name -> { allowed, dropped }
+        this.strikes = 0;
+        this.windowStart = 0;
+        this.warned = false;
+    }
+
+    // voice_offer, voice_answer etc. share one bucket
+    bucketFor(type) {
+        if (type.startsWith('voice_')) return 'voice';
+        return this.limits[type] ? type : 'default';
+    }
+
+    // Takes a token for the message type; false means the message should be dropped
+    consume(type, now = Date.now()) {
+        const name = this.bucketFor(type);
+        const limit = this.limits[name];
+
+        let bucket = this.buckets.get(name);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, updatedAt: now };
+            this.buckets.set(name, bucket);
+        }
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+        bucket.updatedAt = now;
+
+        let counter = this.counters.get(name);
+        if (!counter) {
+            counter = { allowed: 0, dropped: 0 };
+            this.counters.set(name, counter);
+        }
+
+        if (bucket.tokens < 1) {
+            counter.dropped++;
+            return false;
+        }
+        bucket.tokens -= 1;
+        counter.allowed++;
+        return true;
+    }
+
+    // Records a dropped or rejected message and returns what to do about it:
+    // 'drop' (nothing more), 'warn' (once per window) or 'disconnect'
+    strike(now = Date.now()) {
+        if (now - this.windowStart > this.options.strikeWindow) {
+            this.windowStart = now;
+            this.strikes = 0;
+            this.warned = false;
+        }
+        this.strikes++;
+
+        if (this.strikes >= this.options.disconnectStrikes) return 'disconnect';
+        if (this.strikes >= this.options.warnStrikes && !this.warned) {
+            this.warned = true;
+            return 'warn';
+        }
+        return 'drop';
+    }
+
+    hasDropped() {
+        return Array.from(this.counters.values()).some(counter => counter.dropped > 0);
+    }
+
+    // e.g. "position 812/3, bulletSpawned 40/112" as allowed/dropped
+    describe() {
+        return Array.from(this.counters.entries())
+            .map(([name, counter]) => `${name} ${counter.allowed}/${counter.dropped}`)
+            .join(', ');
+    }
+}
+
+RateLimiter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+module.exports = RateLimiter;
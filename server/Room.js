@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const HitResolver = require('./HitResolver');
+const MatchStateMachine = require('./MatchStateMachine');
+const WaveTracker = require('./WaveTracker');
+const CourseRun = require('./CourseRun');
+const EliminationTracker = require('./EliminationTracker');
+const shared = require('./shared');
+
+// Match settings can be tuned per deployment through the environment
+const matchOptions = {};
+if (process.env.MATCH_DURATION) matchOptions.matchDuration = Number(process.env.MATCH_DURATION);
+if (process.env.MATCH_COUNTDOWN) matchOptions.countdownDuration = Number(process.env.MATCH_COUNTDOWN);
+if (process.env.MATCH_RESULTS_DURATION) matchOptions.resultsDuration = Number(process.env.MATCH_RESULTS_DURATION);
+if (process.env.MATCH_MIN_PLAYERS) matchOptions.minPlayers = Number(process.env.MATCH_MIN_PLAYERS);
+
+const GAME_MODES = ['classic', 'teams', 'waves', 'timeAttack', 'elimination'];
+const COURSE_OVERTIME = 2000; // ms a time-attack match may run past its last target's lifetime
+const MAX_ROOM_CAPACITY = 8;
+const MAX_SPECTATORS = 16;
+const INVITE_LIFETIME = 24 * 60 * 60 * 1000; // ms an unused invite stays valid
+const MAX_INVITES = 50; // Outstanding invites per room; the oldest is dropped first
+const MAX_NAME_LENGTH = 20;
+// Avatar colours handed out to players who haven't picked one
+const PROFILE_COLORS = ['#4099ff', '#ff6b6b', '#69db7c', '#ffd43b', '#cc5de8', '#ff922b', '#22b8cf', '#f06595'];
+
+// What a host can choose when creating a room
+const DEFAULT_SETTINGS = {
+    name: null, // Shown in the room browser; defaults to the room code
+    maxPlayers: 4,
+    maxSpectators: 4, // Extra connections that watch once the player slots are taken
+    isPublic: true, // Private rooms are joined by code only
+    gameMode: 'classic',
+    courseId: null // Time-attack course, see CourseLibrary
+};
+
+class Room {
+    // course is the resolved time-attack course for settings.courseId, if any
+    constructor(code, settings = {}, course = null) {
+        const { passphrase, ...publicSettings } = settings;
+        this.code = code;
+        this.settings = { ...DEFAULT_SETTINGS, ...publicSettings };
+        this.settings.name = this.settings.name?.trim() || `Room ${code}`;
+
+        // Only a salted digest of the passphrase is kept; settings are sent to clients
+        this.passphraseSalt = passphrase ? crypto.randomBytes(16) : null;
+        this.passphraseHash = passphrase ? this.hashPassphrase(passphrase) : null;
+        this.invites = new Map(); // token -> expiry time, each good for one join
+
+        this.clients = new Set(); // Set of ws connections for players
+        this.spectators = new Set(); // Set of ws connections that only watch
+        this.suspended = new Set(); // Client ids holding a slot while they reconnect
+        this.profiles = new Map(); // clientId -> { name, color, team? } for every player, suspended ones included
+        this.profileIds = new Map(); // clientId -> digest of the player's profile key; never sent to clients
+        this.hostId = null; // Client id of the player that spawns targets
+        this.scores = new Map(); // clientId -> points this match
+        this.stats = new Map(); // clientId -> per-player numbers this match, see getStats
+        this.statsChanged = false; // Set when a shot is fired or resolved, cleared once playerStats goes out
+        this.weapons = new Map(); // clientId -> WeaponState
+        this.scoreStates = new Map(); // clientId -> ScoreState (combo and streak)
+        this.hitResolver = new HitResolver();
+        this.waves = new WaveTracker(); // Only runs in wave mode
+        this.courseRun = course ? new CourseRun(course) : null; // Only in time-attack mode
+        this.elimination = new EliminationTracker(); // Only runs in elimination mode
+        this.settings.courseId = course ? course.id : null;
+        this.match = new MatchStateMachine(this.getMatchOptions());
+    }
+
+    getMatchOptions() {
+        // Wave matches have no time limit; they end when the room runs out of lives
+        if (this.hasWaves) {
+            return { ...matchOptions, matchDuration: null };
+        }
+        // Courses end with their last target; the time limit is only a backstop
+        if (this.courseRun) {
+            return { ...matchOptions, matchDuration: this.courseRun.course.duration + COURSE_OVERTIME };
+        }
+        // Someone has to be left standing against somebody
+        if (this.hasElimination) {
+            return { ...matchOptions, minPlayers: Math.max(2, matchOptions.minPlayers ?? 1) };
+        }
+        return matchOptions;
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    // Players holding a slot while they reconnect still count against capacity
+    get isFull() {
+        return this.size + this.suspended.size >= this.settings.maxPlayers;
+    }
+
+    get hasSpectatorSlot() {
+        return this.spectators.size < this.settings.maxSpectators;
+    }
+
+    // Players and spectators: everyone who receives room state
+    getConnections() {
+        return [...this.clients, ...this.spectators];
+    }
+
+    get isLocked() {
+        return this.passphraseHash !== null;
+    }
+
+    // Quick Join only lands in public rooms with a free slot that need no passphrase
+    get acceptsQuickJoin() {
+        return this.settings.isPublic && !this.isFull && !this.isLocked;
+    }
+
+    hashPassphrase(passphrase) {
+        return crypto.createHmac('sha256', this.passphraseSalt).update(passphrase).digest();
+    }
+
+    checkPassphrase(passphrase) {
+        if (!this.isLocked) return true;
+        if (typeof passphrase !== 'string') return false;
+        return crypto.timingSafeEqual(this.hashPassphrase(passphrase), this.passphraseHash);
+    }
+
+    createInvite(now = Date.now()) {
+        if (this.invites.size >= MAX_INVITES) {
+            this.invites.delete(this.invites.keys().next().value);
+        }
+        const token = crypto.randomBytes(12).toString('base64url');
+        this.invites.set(token, now + INVITE_LIFETIME);
+        return token;
+    }
+
+    hasInvite(token, now = Date.now()) {
+        const expiresAt = this.invites.get(token);
+        return expiresAt !== undefined && now <= expiresAt;
+    }
+
+    // Invites are single-use; returns whether the token was valid
+    redeemInvite(token, now = Date.now()) {
+        const valid = this.hasInvite(token, now);
+        this.invites.delete(token);
+        return valid;
+    }
+
+    // Entry for the public room browser
+    getListing() {
+        return {
+            code: this.code,
+            name: this.settings.name,
+            playerCount: this.size,
+            maxPlayers: this.settings.maxPlayers,
+            spectatorCount: this.spectators.size,
+            maxSpectators: this.settings.maxSpectators,
+            gameMode: this.settings.gameMode,
+            locked: this.isLocked,
+            phase: this.match.phase
+        };
+    }
+
+    get hasTeams() {
+        return this.settings.gameMode === 'teams';
+    }
+
+    get hasWaves() {
+        return this.settings.gameMode === 'waves';
+    }
+
+    get hasElimination() {
+        return this.settings.gameMode === 'elimination';
+    }
+
+    // Gives the player a display name no one else in the room is using, an avatar
+    // colour and, in team mode, a place on the smaller team
+    addProfile(clientId, requested = {}) {
+        const base = requested.name?.replace(/\s+/g, ' ').trim() || `Player ${clientId}`;
+        const taken = new Set(Array.from(this.profiles)
+            .filter(([id]) => id !== clientId)
+            .map(([, profile]) => profile.name.toLowerCase()));
+
+        let name = base;
+        for (let n = 2; taken.has(name.toLowerCase()); n++) {
+            const suffix = ` ${n}`;
+            name = base.slice(0, MAX_NAME_LENGTH - suffix.length) + suffix;
+        }
+
+        const profile = {
+            name,
+            color: requested.color || PROFILE_COLORS[(clientId - 1) % PROFILE_COLORS.length]
+        };
+        if (this.hasTeams) {
+            profile.team = this.pickTeam(clientId);
+        }
+        this.profiles.set(clientId, profile);
+
+        // Match history knows a player by their browser's profile key, whatever name they play under
+        if (requested.key) {
+            this.profileIds.set(clientId, crypto.createHash('sha256').update(requested.key).digest('base64url'));
+        }
+        return profile;
+    }
+
+    removeProfile(clientId) {
+        this.profiles.delete(clientId);
+        this.profileIds.delete(clientId);
+    }
+
+    pickTeam(clientId) {
+        const counts = new Map(shared.teams.TEAMS.map(team => [team.id, 0]));
+        this.profiles.forEach((profile, id) => {
+            if (id !== clientId && counts.has(profile.team)) {
+                counts.set(profile.team, counts.get(profile.team) + 1);
+            }
+        });
+        // Fewest members first; ties go to the first team listed
+        return Array.from(counts).sort((a, b) => a[1] - b[1])[0][0];
+    }
+
+    getProfiles() {
+        return Array.from(this.profiles, ([id, profile]) => ({ id, ...profile }));
+    }
+
+    getStats(clientId) {
+        let stats = this.stats.get(clientId);
+        if (!stats) {
+            stats = {
+                name: this.profiles.get(clientId)?.name || `Player ${clientId}`,
+                team: this.profiles.get(clientId)?.team || null,
+                profileId: this.profileIds.get(clientId) ?? null, // For match history only
+                shots: 0,
+                hits: 0,
+                kills: 0,
+                totalTimeToKill: 0, // ms from target spawn to kill, summed over kills
+                longestShot: 0, // m
+                bestStreak: 0
+            };
+            this.stats.set(clientId, stats);
+        }
+        return stats;
+    }
+
+    // End-of-match table, best score first, plus team totals in team mode,
+    // the course and its completion time in time-attack mode and the last
+    // player standing in elimination mode
+    getResults() {
+        const players = Array.from(this.stats, ([id, stats]) => ({
+            id,
+            name: stats.name,
+            team: stats.team,
+            score: this.scores.get(id) || 0,
+            shots: stats.shots,
+            hits: stats.hits,
+            kills: stats.kills,
+            accuracy: stats.shots > 0 ? stats.hits / stats.shots : 0,
+            averageTimeToKill: stats.kills > 0 ? Math.round(stats.totalTimeToKill / stats.kills) : null,
+            longestShot: stats.longestShot,
+            bestStreak: stats.bestStreak
+        })).sort((a, b) => b.score - a.score);
+
+        const course = this.courseRun ? {
+            id: this.courseRun.course.id,
+            name: this.courseRun.course.name,
+            completionTime: this.courseRun.completionTime
+        } : null;
+
+        const winnerId = this.elimination.getWinnerId();
+        const elimination = this.hasElimination ? {
+            winnerId,
+            winner: winnerId !== null ? this.getStats(winnerId).name : null,
+            color: this.profiles.get(winnerId)?.color ?? null,
+            standings: this.elimination.getStandings().map(({ id, targetsLeft }) => ({
+                id,
+                name: this.getStats(id).name,
+                targetsLeft
+            }))
+        } : null;
+
+        if (!this.hasTeams) {
+            return { players, teams: null, winningTeam: null, course, elimination };
+        }
+        const teams = shared.teams.getTeamTotals(players);
+        return { players, teams, winningTeam: shared.teams.getWinningTeam(teams), course, elimination };
+    }
+
+    getWeapon(clientId) {
+        let weapon = this.weapons.get(clientId);
+        if (!weapon) {
+            weapon = new shared.weapons.WeaponState();
+            this.weapons.set(clientId, weapon);
+        }
+        return weapon;
+    }
+
+    getScoreState(clientId) {
+        let state = this.scoreStates.get(clientId);
+        if (!state) {
+            state = new shared.scoring.ScoreState();
+            this.scoreStates.set(clientId, state);
+        }
+        return state;
+    }
+
+    dispose() {
+        this.match.dispose();
+        this.waves.dispose();
+        this.elimination.dispose();
+        this.courseRun?.dispose();
+        this.hitResolver.reset();
+        this.clients.clear();
+        this.spectators.clear();
+        this.suspended.clear();
+        this.profiles.clear();
+        this.profileIds.clear();
+        this.scores.clear();
+        this.stats.clear();
+        this.weapons.clear();
+        this.scoreStates.clear();
+        this.invites.clear();
+    }
+}
+
+Room.GAME_MODES = GAME_MODES;
+Room.MAX_ROOM_CAPACITY = MAX_ROOM_CAPACITY;
+Room.MAX_SPECTATORS = MAX_SPECTATORS;
+Room.MAX_NAME_LENGTH = MAX_NAME_LENGTH;
+module.exports = Room;
@@ -0,0 +1,100 @@
+const shared = require('./shared');
+
+// Server-owned progress through the co-op wave mode for one room: which wave
+// is running, how many of its targets have been spawned and dealt with, and the
+// lives the room has left. Targets are resolved by being destroyed or escaping.
+class WaveTracker {
+    constructor() {
+        this.timer = null;
+        this.onChange = null; // Called with getState() whenever the waves move on
+        this.onLivesOut = null; // Called once the room has no lives left
+        this.reset();
+    }
+
+    reset() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.wave = 0;
+        this.definition = null;
+        this.status = 'idle'; // idle, active, cleared (between waves) or failed
+        this.lives = shared.waves.STARTING_LIVES;
+        this.spawned = 0;
+        this.resolved = 0;
+        this.nextWaveAt = null;
+    }
+
+    start() {
+        this.reset();
+        this.startWave(1);
+    }
+
+    startWave(number) {
+        this.timer = null;
+        this.wave = number;
+        this.definition = shared.waves.getWave(number);
+        this.status = 'active';
+        this.spawned = 0;
+        this.resolved = 0;
+        this.nextWaveAt = null;
+        this.notify();
+    }
+
+    // Properties for the host's next target, or null if the wave has all its targets
+    spawnTarget() {
+        if (this.status !== 'active' || this.spawned >= this.definition.count) return null;
+        return shared.waves.getTargetProperties(this.definition, this.spawned++);
+    }
+
+    targetKilled() {
+        this.resolve();
+    }
+
+    targetEscaped() {
+        if (this.status !== 'active') return;
+        this.lives = Math.max(0, this.lives - 1);
+        if (this.lives === 0) {
+            this.status = 'failed';
+            this.notify();
+            if (this.onLivesOut) this.onLivesOut();
+            return;
+        }
+        this.resolve();
+    }
+
+    resolve() {
+        if (this.status !== 'active') return;
+        this.resolved++;
+        if (this.resolved >= this.definition.count) {
+            this.status = 'cleared';
+            this.nextWaveAt = Date.now() + shared.waves.WAVE_BREAK;
+            this.timer = setTimeout(() => this.startWave(this.wave + 1), shared.waves.WAVE_BREAK);
+        }
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.getState());
+    }
+
+    getState() {
+        return {
+            wave: this.wave,
+            status: this.status,
+            lives: this.lives,
+            maxLives: shared.waves.STARTING_LIVES,
+            count: this.definition?.count ?? 0,
+            spawned: this.spawned,
+            remaining: (this.definition?.count ?? 0) - this.resolved,
+            nextWaveAt: this.nextWaveAt
+        };
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.onChange = null;
+        this.onLivesOut = null;
+    }
+}
+
+module.exports = WaveTracker;
@@ -0,0 +1,94 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const MAX_NOTICE_LENGTH = 500;
+
+function tokenMatches(expected, header) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match) return false;
+
+    // Compare digests so the check takes the same time whatever the input length
+    const a = crypto.createHash('sha256').update(match[1]).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// JSON admin endpoints. Every request needs "Authorization: Bearer <token>";
+// with no token configured the API doesn't exist at all.
+// `actions` holds the server.js functions that read and change room state.
+function createAdminRouter(token, actions) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!token) {
+            res.status(404).json({ error: 'Admin API is disabled' });
+            return;
+        }
+        if (!tokenMatches(token, req.get('Authorization'))) {
+            console.warn(`Rejected admin request from ${req.ip}: bad token`);
+            res.status(401).json({ error: 'Invalid admin token' });
+            return;
+        }
+        next();
+    });
+
+    router.use(express.json({ limit: '16kb' }));
+
+    router.get('/rooms', (req, res) => {
+        res.json({ rooms: actions.listRooms() });
+    });
+
+    router.get('/rooms/:code', (req, res) => {
+        const room = actions.describeRoom(req.params.code);
+        if (!room) {
+            res.status(404).json({ error: 'No such room' });
+            return;
+        }
+        res.json(room);
+    });
+
+    router.post('/rooms/:code/players/:id/kick', (req, res) => {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, MAX_NOTICE_LENGTH) : null;
+        if (!actions.kickPlayer(req.params.code, Number(req.params.id), reason)) {
+            res.status(404).json({ error: 'No such player in that room' });
+            return;
+        }
+        console.log(`Admin kicked player ${req.params.id} from room ${req.params.code}`);
+        res.json({ kicked: Number(req.params.id) });
+    });
+
+    router.delete('/rooms/:code', (req, res) => {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, MAX_NOTICE_LENGTH) : null;
+        if (!actions.closeRoom(req.params.code, reason)) {
+            res.status(404).json({ error: 'No such room' });
+            return;
+        }
+        console.log(`Admin closed room ${req.params.code}`);
+        res.json({ closed: req.params.code });
+    });
+
+    // Body: { message, roomCode? }; without a room code every connected client gets it
+    router.post('/notice', (req, res) => {
+        const { message, roomCode } = req.body || {};
+        if (typeof message !== 'string' || !message.trim() || message.length > MAX_NOTICE_LENGTH) {
+            res.status(400).json({ error: `message must be 1-${MAX_NOTICE_LENGTH} characters` });
+            return;
+        }
+        if (roomCode !== undefined && typeof roomCode !== 'string') {
+            res.status(400).json({ error: 'roomCode must be a string' });
+            return;
+        }
+
+        const recipients = actions.broadcastNotice(message.trim(), roomCode);
+        if (recipients === null) {
+            res.status(404).json({ error: 'No such room' });
+            return;
+        }
+        console.log(`Admin notice sent to ${recipients} clients`);
+        res.json({ recipients });
+    });
+
+    return router;
+}
+
+module.exports = createAdminRouter;
@@ -0,0 +1,23 @@
+const express = require('express');
+
+// Time-attack courses for the host's course picker and for clients to load
+function createCourseRouter(library) {
+    const router = express.Router();
+
+    router.get('/courses', (req, res) => {
+        res.json({ courses: library.list() });
+    });
+
+    router.get('/courses/:id', (req, res) => {
+        const course = library.get(req.params.id);
+        if (!course) {
+            res.status(404).json({ error: 'No such course' });
+            return;
+        }
+        res.json(course);
+    });
+
+    return router;
+}
+
+module.exports = createCourseRouter;
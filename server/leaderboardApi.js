@@ -0,0 +1,40 @@
+const express = require('express');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function parseLimit(value) {
+    const limit = Number.parseInt(value, 10);
+    if (!Number.isFinite(limit) || limit < 1) return DEFAULT_LIMIT;
+    return Math.min(limit, MAX_LIMIT);
+}
+
+// Public read-only leaderboards built from the recorded match history
+function createLeaderboardRouter(history) {
+    const router = express.Router();
+
+    router.get('/leaderboard', (req, res) => {
+        res.json({ players: history.getLeaderboard({ limit: parseLimit(req.query.limit) }) });
+    });
+
+    router.get('/leaderboard/weekly', (req, res) => {
+        res.json({ players: history.getWeeklyLeaderboard({ limit: parseLimit(req.query.limit) }) });
+    });
+
+    router.get('/leaderboard/courses/:id', (req, res) => {
+        res.json({ runs: history.getCourseLeaderboard(req.params.id, { limit: parseLimit(req.query.limit) }) });
+    });
+
+    router.get('/players/:name', (req, res) => {
+        const player = history.getPlayer(req.params.name);
+        if (!player) {
+            res.status(404).json({ error: 'No matches recorded for that player' });
+            return;
+        }
+        res.json(player);
+    });
+
+    return router;
+}
+
+module.exports = createLeaderboardRouter;
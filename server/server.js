@@ -4,6 +4,17 @@ const path = require('path');
 const express = require('express');
 const WebSocket = require('ws');
 const ip = require('ip');
+const { v4: uuidv4 } = require('uuid');
+const Room = require('./Room');
+const MatchStateMachine = require('./MatchStateMachine');
+const { validateMessage } = require('./MessageValidator');
+const RateLimiter = require('./RateLimiter');
+const shared = require('./shared');
+const createAdminRouter = require('./adminApi');
+const MatchHistory = require('./MatchHistory');
+const createLeaderboardRouter = require('./leaderboardApi');
+const CourseLibrary = require('./CourseLibrary');
+const createCourseRouter = require('./courseApi');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -12,7 +23,7 @@ const port = process.env.PORT || 3001;
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     next();
 });
 
@@ -24,6 +35,29 @@ app.use((req, res, next) => {
 
 // Serve static files from the client directory
 app.use(express.static(path.join(__dirname, '../client')));
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
+// Public rooms for the lobby browser
+app.get('/api/rooms', (req, res) => {
+    res.json({ rooms: listPublicRooms() });
+});
+
+// Finished matches, kept across restarts
+const matchHistory = new MatchHistory(process.env.MATCH_HISTORY_FILE || path.join(__dirname, '../data/match-history.jsonl'));
+app.use('/api', createLeaderboardRouter(matchHistory));
+
+// Time-attack course files
+const courseLibrary = new CourseLibrary(process.env.COURSES_DIR || path.join(__dirname, 'courses'));
+app.use('/api', createCourseRouter(courseLibrary));
+
+// Room management for operators; disabled unless ADMIN_TOKEN is set
+app.use('/admin', createAdminRouter(process.env.ADMIN_TOKEN, {
+    listRooms,
+    describeRoom,
+    kickPlayer,
+    closeRoom,
+    broadcastNotice
+}));
 
 // Only use HTTPS in development
 let server;
@@ -38,44 +72,145 @@ if (process.env.NODE_ENV === 'production') {
     server = https.createServer(options, app);
 }
 
-const wss = new WebSocket.Server({ server });
+const MAX_MESSAGE_SIZE = 32 * 1024; // Larger messages are dropped and count against the sender
+const wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_SIZE * 4 }); // ws closes the socket past this
 
 // Store rooms and clients
-const rooms = new Map(); // roomCode -> Set of clients
-const clients = new Map(); // ws -> { id, roomCode }
+const rooms = new Map(); // roomCode -> Room
+const clients = new Map(); // ws -> { id, roomCode, token, violations, limiter, kicked, browsing, spectating, profile }
+const suspendedSessions = new Map(); // token -> { id, roomCode, timer }
 let nextClientId = 1;
 
+const SIMULATION_INTERVAL = 1000 / 60; // Step bullets at 60Hz
+const RESUME_GRACE_PERIOD = Number(process.env.RESUME_GRACE_PERIOD) || 15000; // ms a dropped player keeps their slot
+const ROOM_LIST_THROTTLE = 500; // ms between room browser updates
+const FIRE_TIME_TOLERANCE = 20; // ms of clock correction allowed between two shots
+const MAX_FIRE_DELAY = 1000; // ms; shots arriving later than this count as fired this long ago
+
+// Binary pose packets, see client/js/network/PoseCodec.js
+const POSE_PROTOCOL_VERSION = 1;
+const POSE_SENDER_OFFSET = 2;
+const POSE_HEADER_SIZE = 14;
+const MAX_POSE_SIZE = 128;
+
+// Spectators watch without an avatar; everything else they send is ignored
+const SPECTATOR_MESSAGES = new Set(['timeSync', 'leave', 'listRooms', 'takeSlot']);
+
 wss.on('connection', (ws) => {
     const clientId = nextClientId++;
-    clients.set(ws, { id: clientId, roomCode: null });
+    const token = uuidv4();
+    clients.set(ws, {
+        id: clientId,
+        roomCode: null,
+        token,
+        violations: 0,
+        limiter: new RateLimiter(),
+        kicked: false,
+        browsing: false, // Receives room browser updates while outside a room
+        spectating: false, // In a room without a player slot
+        profile: {} // Name and colour the player asked for; the room decides the final ones
+    });
     console.log(`Client ${clientId} connected`);
 
-    // Send client their ID
+    // Send client their ID and the token needed to resume after a dropped connection
     ws.send(JSON.stringify({
         type: 'init',
-        id: clientId
+        id: clientId,
+        token
     }));
 
-    ws.on('message', (message) => {
+    ws.on('message', (message, isBinary) => {
+        const client = clients.get(ws);
+        if (client.kicked) return;
+
+        if (message.length > MAX_MESSAGE_SIZE) {
+            recordViolation(ws, client, null, `${message.length}-byte message exceeds ${MAX_MESSAGE_SIZE}`);
+            return;
+        }
+
+        if (isBinary) {
+            if (client.spectating) return;
+            if (!client.limiter.consume('pose')) {
+                penalize(ws, client);
+                return;
+            }
+            handlePosePacket(ws, message);
+            return;
+        }
+
         try {
             const data = JSON.parse(message);
-            const client = clients.get(ws);
+
+            // Drop anything that doesn't match its schema before it reaches a handler
+            const violation = validateMessage(data);
+            if (violation) {
+                recordViolation(ws, client, data, violation);
+                return;
+            }
+
+            if (!client.limiter.consume(data.type)) {
+                penalize(ws, client);
+                return;
+            }
+
+            if (client.spectating && !SPECTATOR_MESSAGES.has(data.type)) return;
+
+            // Messages that enter a room carry the player's profile
+            if (data.profile) {
+                client.profile = data.profile;
+            }
 
             switch (data.type) {
+                case 'timeSync':
+                    // NTP-style exchange: echo the client's send time with ours
+                    ws.send(JSON.stringify({
+                        type: 'timeSyncReply',
+                        clientTime: data.clientTime,
+                        serverTime: Date.now()
+                    }));
+                    break;
+
                 case 'host':
-                    handleHostSession(ws, client, data.roomCode);
+                    handleHostSession(ws, client, data.roomCode, data.settings);
                     break;
 
                 case 'join':
-                    handleJoinSession(ws, client, data.roomCode);
+                    handleJoinSession(ws, client, data.roomCode, { passphrase: data.passphrase });
+                    break;
+
+                case 'redeemInvite':
+                    handleRedeemInvite(ws, client, data.invite);
+                    break;
+
+                case 'createInvite':
+                    handleCreateInvite(ws, client);
+                    break;
+
+                case 'takeSlot':
+                    handleTakeSlot(ws, client);
                     break;
 
                 case 'autoJoin':
                     handleAutoJoin(ws, client);
                     break;
 
+                case 'listRooms':
+                    client.browsing = true;
+                    ws.send(JSON.stringify({
+                        type: 'roomList',
+                        rooms: listPublicRooms()
+                    }));
+                    break;
+
+                case 'resume':
+                    handleResume(ws, client, data.token);
+                    break;
+
+                case 'leave':
+                    handleLeave(ws, client);
+                    break;
+
                 case 'position':
-                case 'interaction':
                     // Forward updates only to clients in the same room
                     broadcastToRoom(client.roomCode, {
                         ...data,
@@ -83,29 +218,150 @@ wss.on('connection', (ws) => {
                     }, ws);
                     break;
 
-                case 'bulletSpawned':
+                case 'requestStart':
+                    handleRequestStart(ws, client);
+                    break;
+
+                case 'bulletSpawned': {
+                    const room = rooms.get(client.roomCode);
+                    if (!room) break;
+
+                    // Hold every shooter to the same weapon, whatever their input device.
+                    // The fire rate goes by when the shot was fired, so a shot held up on
+                    // the network doesn't push back the next one; only the hit rewind is
+                    // limited to the lag compensation window.
+                    const weapon = room.getWeapon(client.id);
+                    const time = room.hitResolver.resolveShotTime(data.data.time);
+                    const refusal = weapon.fire(getFireTime(data.data.time), FIRE_TIME_TOLERANCE);
+                    if (refusal) {
+                        console.log(`Dropped shot from client ${client.id}: ${refusal}`);
+                        break;
+                    }
+
+                    const shot = {
+                        ...data.data,
+                        time,
+                        speed: Math.min(data.data.speed, weapon.weapon.bulletSpeed),
+                        shooterId: client.id
+                    };
+                    // Players knocked out of an elimination match can only watch their shots fly
+                    let recorded = false;
+                    if (room.match.phase === MatchStateMachine.PHASES.PLAYING && !room.elimination.isEliminated(client.id)) {
+                        recorded = room.hitResolver.addBullet(client.id, shot);
+                        room.getStats(client.id).shots++;
+                        room.statsChanged = true;
+                    }
+                    // Evasive targets only dodge shots we recorded. The rebroadcast skips the
+                    // shooter, so they get the time we recorded theirs at separately.
+                    if (recorded) {
+                        ws.send(JSON.stringify({
+                            type: 'shotAccepted',
+                            data: { position: shot.position, direction: shot.direction, time }
+                        }));
+                    }
                     broadcastToRoom(client.roomCode, {
                         type: 'bulletSpawned',
                         senderId: client.id,
-                        data: data.data
+                        data: { ...shot, recorded }
                     }, ws);
                     break;
+                }
 
-                case 'birdSpawned':
+                case 'birdSpawned': {
+                    const room = rooms.get(client.roomCode);
+                    if (!room || room.hostId !== client.id) break; // Only the host spawns
+                    let target = data.data;
+                    if (room.hasWaves) {
+                        // The wave decides what the host's target is; extra spawns are dropped
+                        const properties = room.waves.spawnTarget();
+                        if (!properties) {
+                            console.log(`Dropped spawn from client ${client.id}: wave ${room.waves.wave} is fully spawned`);
+                            break;
+                        }
+                        target = { ...target, ...properties, movement: null };
+                        room.hitResolver.addTarget(target, Date.now(), {
+                            ...properties,
+                            lifespan: shared.waves.escapeTime(properties.speed)
+                        });
+                    } else if (room.courseRun) {
+                        // Course targets go where and when the course says, whatever the host sent
+                        const courseTarget = room.courseRun.spawnTarget();
+                        if (!courseTarget) {
+                            console.log(`Dropped spawn from client ${client.id}: course ${room.courseRun.course.id} is fully spawned`);
+                            break;
+                        }
+                        target = {
+                            ...target,
+                            position: courseTarget.position,
+                            direction: [0, 0, 0],
+                            speed: 0,
+                            courseIndex: courseTarget.index,
+                            movement: null,
+                            spawnTime: courseTarget.spawnTime
+                        };
+                        room.hitResolver.addTarget(target, Date.now(), {
+                            positionAt: elapsed => shared.courses.coursePositionAt(courseTarget, elapsed),
+                            points: courseTarget.points,
+                            courseIndex: courseTarget.index,
+                            lifespan: Math.max(0, courseTarget.spawnTime + courseTarget.lifetime - Date.now())
+                        });
+                    } else if (room.hasElimination) {
+                        // Each target belongs to a player and has to land on their side
+                        const position = room.elimination.spawnTarget(target.owner, target.position);
+                        if (!position) {
+                            console.log(`Dropped spawn from client ${client.id}: player ${target.owner} can't have another target`);
+                            break;
+                        }
+                        target = { ...target, position, direction: [0, 0, 0], speed: 0, movement: null };
+                        room.hitResolver.addTarget(target, Date.now(), { owner: target.owner, persistent: true });
+                    } else {
+                        // Classic targets may move; the server follows the same seeded path
+                        const movement = target.movement ? shared.movement.resolveMovement(target.movement, target.position) : null;
+                        room.hitResolver.addTarget(target, Date.now(), movement ? {
+                            movement: target.movement,
+                            positionAt: (elapsed, shots) => shared.movement.movementPositionAt(movement, elapsed, shots),
+                            evadesShots: movement.behavior === 'evade'
+                        } : {});
+
+                        // The host's target may have dodged shots we recorded before it reached
+                        // us, or ones we never recorded; everyone goes by our list
+                        const shots = room.hitResolver.getTargetShots(target.id);
+                        if (shots) {
+                            target = { ...target, shots };
+                            ws.send(JSON.stringify({
+                                type: 'birdShots',
+                                data: { id: target.id, shots }
+                            }));
+                        }
+                    }
                     broadcastToRoom(client.roomCode, {
                         type: 'birdSpawned',
                         senderId: client.id,
-                        data: data.data
+                        data: target
                     }, ws);
                     break;
+                }
 
-                case 'birdKilled':
+                case 'birdRemoved': {
+                    const room = rooms.get(client.roomCode);
+                    if (!room || room.hostId !== client.id) break;
+                    // Wave, time-attack and elimination targets leave when the server says so
+                    if (room.hasWaves || room.courseRun || room.hasElimination) break;
+                    if (data.data) {
+                        room.hitResolver.removeTarget(data.data.id);
+                    }
                     broadcastToRoom(client.roomCode, {
-                        type: 'birdKilled',
+                        type: 'birdRemoved',
                         senderId: client.id,
                         data: data.data
                     }, ws);
                     break;
+                }
+
+                case 'birdKilled':
+                    // Kills are decided by the server's HitResolver only
+                    console.warn(`Ignoring client-reported kill from client ${client.id}`);
+                    break;
 
                 case 'sphereSpawned':
                     broadcastToRoom(client.roomCode, {
@@ -161,21 +417,25 @@ wss.on('connection', (ws) => {
     ws.on('close', () => {
         const client = clients.get(ws);
         console.log(`Client ${client.id} disconnected`);
-        
-        // Remove from room if in one
+        if (client.limiter.hasDropped()) {
+            console.log(`Client ${client.id} message counters (allowed/dropped): ${client.limiter.describe()}`);
+        }
+
+        // Hold the player's slot in case they reconnect, unless we threw them out
         if (client.roomCode) {
             const room = rooms.get(client.roomCode);
-            if (room) {
-                room.delete(ws);
-                // Notify others in room
-                broadcastToRoom(client.roomCode, {
-                    type: 'playerLeft',
-                    id: client.id
-                });
-                // Delete room if empty
-                if (room.size === 0) {
-                    rooms.delete(client.roomCode);
-                    console.log(`Room ${client.roomCode} deleted`);
+            if (room && client.spectating) {
+                removeSpectator(ws, client, room);
+            } else if (room) {
+                room.clients.delete(ws);
+                if (client.kicked) {
+                    removeFromRoom(room, client.id);
+                } else {
+                    suspendSession(client, room);
+                    if (room.hostId === client.id && room.size > 0) {
+                        migrateHost(room);
+                    }
+                    scheduleRoomListBroadcast();
                 }
             }
         }
@@ -189,17 +449,36 @@ wss.on('connection', (ws) => {
     });
 });
 
-function handleHostSession(ws, client, roomCode) {
+function handleHostSession(ws, client, roomCode, settings = {}) {
+    if (client.roomCode) return; // Already in a room on this connection
+
+    // Time-attack rooms need a course the server knows
+    const course = settings.gameMode === 'timeAttack' ? courseLibrary.getResolved(settings.courseId) : null;
+    if (settings.gameMode === 'timeAttack' && !course) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Unknown course'
+        }));
+        return;
+    }
+
     // Create new room
     if (!rooms.has(roomCode)) {
-        rooms.set(roomCode, new Set([ws]));
+        const room = createRoom(roomCode, settings, course);
+        room.clients.add(ws);
+        room.hostId = client.id;
         client.roomCode = roomCode;
+        const profile = room.addProfile(client.id, client.profile);
         console.log(`Room ${roomCode} created by client ${client.id}`);
         
         ws.send(JSON.stringify({
             type: 'hostConfirm',
-            roomCode
+            roomCode,
+            settings: room.settings,
+            profile
         }));
+        sendRoomSnapshot(ws, room);
+        scheduleRoomListBroadcast();
     } else {
         ws.send(JSON.stringify({
             type: 'error',
@@ -208,56 +487,334 @@ function handleHostSession(ws, client, roomCode) {
     }
 }
 
-function handleJoinSession(ws, client, roomCode) {
+// credentials is { passphrase } from the join form or { invite } from an invite link
+function handleJoinSession(ws, client, roomCode, credentials = {}) {
+    if (client.roomCode) return; // Already in a room on this connection
+
     const room = rooms.get(roomCode);
-    if (room) {
-        // Join room
-        room.add(ws);
-        client.roomCode = roomCode;
-        console.log(`Client ${client.id} joined room ${roomCode}`);
+    let refusal = null;
+    if (!room) {
+        refusal = 'Room not found';
+    } else if (room.isFull && !room.hasSpectatorSlot) {
+        refusal = 'Room is full';
+    } else if (credentials.invite !== undefined) {
+        if (!room.redeemInvite(credentials.invite)) {
+            refusal = 'Invite is invalid or has already been used';
+        }
+    } else if (!room.checkPassphrase(credentials.passphrase)) {
+        refusal = credentials.passphrase === undefined ? 'This room needs a passphrase' : 'Wrong passphrase';
+        if (credentials.passphrase !== undefined) {
+            console.warn(`Client ${client.id} gave a wrong passphrase for room ${roomCode}`);
+            penalize(ws, client); // Repeated guessing escalates like flooding
+        }
+    }
 
-        // Send confirmation
+    if (refusal) {
         ws.send(JSON.stringify({
-            type: 'joinConfirm',
-            roomCode
+            type: 'joinFailed',
+            roomCode,
+            message: refusal,
+            needsPassphrase: Boolean(room?.isLocked) && credentials.invite === undefined
         }));
+        return;
+    }
 
-        // Send existing players to new client
-        room.forEach(existingClient => {
-            if (existingClient !== ws) {
-                const existingClientData = clients.get(existingClient);
-                ws.send(JSON.stringify({
-                    type: 'playerJoined',
-                    id: existingClientData.id
-                }));
-            }
-        });
+    client.roomCode = roomCode;
+    if (room.isFull) {
+        addSpectator(ws, client, room);
+    } else {
+        addPlayer(ws, client, room);
+    }
+}
 
-        // Notify others in room
-        broadcastToRoom(roomCode, {
+function addPlayer(ws, client, room) {
+    room.clients.add(ws);
+    client.spectating = false;
+    const profile = room.addProfile(client.id, client.profile);
+    console.log(`Client ${client.id} joined room ${room.code} as ${profile.name}`);
+
+    // Send confirmation
+    ws.send(JSON.stringify({
+        type: 'joinConfirm',
+        roomCode: room.code,
+        hostId: room.hostId,
+        settings: room.settings,
+        spectator: false,
+        profile
+    }));
+    sendRoomSnapshot(ws, room);
+    scheduleRoomListBroadcast();
+
+    // Send existing players to new client
+    room.clients.forEach(existingClient => {
+        if (existingClient !== ws) {
+            const existingClientData = clients.get(existingClient);
+            ws.send(JSON.stringify({
+                type: 'playerJoined',
+                id: existingClientData.id,
+                profile: room.profiles.get(existingClientData.id)
+            }));
+        }
+    });
+
+    // Notify others in room
+    broadcastToRoom(room.code, {
+        type: 'playerJoined',
+        id: client.id,
+        profile
+    }, ws);
+}
+
+// Spectators get the same state as players but are never announced as one
+function addSpectator(ws, client, room) {
+    room.spectators.add(ws);
+    client.spectating = true;
+    console.log(`Client ${client.id} is spectating room ${room.code}`);
+
+    ws.send(JSON.stringify({
+        type: 'joinConfirm',
+        roomCode: room.code,
+        hostId: room.hostId,
+        settings: room.settings,
+        spectator: true
+    }));
+    sendRoomSnapshot(ws, room);
+    scheduleRoomListBroadcast();
+
+    room.clients.forEach(playerWs => {
+        const id = clients.get(playerWs).id;
+        ws.send(JSON.stringify({
             type: 'playerJoined',
-            id: client.id
-        }, ws);
-    } else {
+            id,
+            profile: room.profiles.get(id)
+        }));
+    });
+}
+
+function removeSpectator(ws, client, room) {
+    room.spectators.delete(ws);
+    client.spectating = false;
+    console.log(`Client ${client.id} stopped spectating room ${room.code}`);
+    scheduleRoomListBroadcast();
+}
+
+// A spectator asks for a player slot that has opened up
+function handleTakeSlot(ws, client) {
+    const room = rooms.get(client.roomCode);
+    if (!room || !client.spectating) return;
+
+    if (room.isFull) {
         ws.send(JSON.stringify({
             type: 'error',
-            message: 'Room not found'
+            message: 'No player slot is free yet'
         }));
+        return;
     }
+
+    room.spectators.delete(ws);
+    addPlayer(ws, client, room);
+}
+
+function notifySlotAvailable(room) {
+    if (room.isFull || room.spectators.size === 0) return;
+
+    const messageStr = JSON.stringify({ type: 'slotAvailable' });
+    room.spectators.forEach(spectatorWs => {
+        if (spectatorWs.readyState === WebSocket.OPEN) {
+            spectatorWs.send(messageStr);
+        }
+    });
+}
+
+function handleRedeemInvite(ws, client, token) {
+    const room = Array.from(rooms.values()).find(candidate => candidate.hasInvite(token));
+    if (!room) {
+        ws.send(JSON.stringify({
+            type: 'joinFailed',
+            message: 'Invite is invalid or has already been used',
+            needsPassphrase: false
+        }));
+        penalize(ws, client);
+        return;
+    }
+    handleJoinSession(ws, client, room.code, { invite: token });
+}
+
+function handleCreateInvite(ws, client) {
+    const room = rooms.get(client.roomCode);
+    if (!room || room.hostId !== client.id) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Only the host can create invites'
+        }));
+        return;
+    }
+
+    const token = room.createInvite();
+    console.log(`Client ${client.id} created an invite for room ${room.code}`);
+    ws.send(JSON.stringify({
+        type: 'inviteCreated',
+        roomCode: room.code,
+        invite: token
+    }));
+}
+
+function handleLeave(ws, client) {
+    const room = rooms.get(client.roomCode);
+    client.roomCode = null;
+    if (!room) return;
+
+    if (client.spectating) {
+        removeSpectator(ws, client, room);
+        return;
+    }
+
+    room.clients.delete(ws);
+    console.log(`Client ${client.id} left room ${room.code}`);
+    removeFromRoom(room, client.id);
+}
+
+function suspendSession(client, room) {
+    room.suspended.add(client.id);
+    console.log(`Holding slot for client ${client.id} in room ${room.code} for ${RESUME_GRACE_PERIOD}ms`);
+
+    suspendedSessions.set(client.token, {
+        id: client.id,
+        roomCode: room.code,
+        timer: setTimeout(() => {
+            suspendedSessions.delete(client.token);
+            room.suspended.delete(client.id);
+            console.log(`Client ${client.id} did not resume in time`);
+            removeFromRoom(room, client.id);
+        }, RESUME_GRACE_PERIOD)
+    });
+}
+
+// Forget a held slot so the player can no longer resume into it
+function cancelSuspendedSession(clientId) {
+    for (const [token, session] of suspendedSessions) {
+        if (session.id === clientId) {
+            clearTimeout(session.timer);
+            suspendedSessions.delete(token);
+            return;
+        }
+    }
+}
+
+// A connection that dropped without closing (a phone switching networks, say)
+// still looks live here. The token proves the player is back, so the stale
+// connection is closed and its slot held for them as if it had closed itself.
+function releaseStaleConnection(ws, token) {
+    for (const [staleWs, stale] of clients) {
+        if (staleWs === ws || stale.token !== token) continue;
+        const room = rooms.get(stale.roomCode);
+        if (!room || stale.spectating) return;
+
+        console.log(`Client ${stale.id} reconnected; closing their stale connection`);
+        room.clients.delete(staleWs);
+        suspendSession(stale, room);
+        stale.roomCode = null;
+        staleWs.terminate();
+        return;
+    }
+}
+
+function handleResume(ws, client, token) {
+    if (client.roomCode) return; // Already playing on this connection
+
+    if (!suspendedSessions.has(token)) {
+        releaseStaleConnection(ws, token);
+    }
+    const session = suspendedSessions.get(token);
+    const room = session && rooms.get(session.roomCode);
+    if (!room) {
+        ws.send(JSON.stringify({
+            type: 'resumeFailed',
+            message: 'Session expired'
+        }));
+        return;
+    }
+
+    clearTimeout(session.timer);
+    suspendedSessions.delete(token);
+    room.suspended.delete(session.id);
+
+    // Take over the old identity so other players see no change
+    client.id = session.id;
+    client.token = token;
+    client.roomCode = room.code;
+    room.clients.add(ws);
+    console.log(`Client ${client.id} resumed in room ${room.code}`);
+
+    if (!Array.from(room.clients).some(playerWs => clients.get(playerWs).id === room.hostId)) {
+        migrateHost(room);
+    }
+
+    const players = Array.from(room.clients)
+        .filter(playerWs => playerWs !== ws)
+        .map(playerWs => clients.get(playerWs).id)
+        .concat(Array.from(room.suspended));
+
+    ws.send(JSON.stringify({
+        type: 'resumeConfirm',
+        id: client.id,
+        roomCode: room.code,
+        hostId: room.hostId,
+        settings: room.settings,
+        players
+    }));
+    sendRoomSnapshot(ws, room);
+    scheduleRoomListBroadcast();
+}
+
+// Announce a departed player and clean up the room they left behind
+function removeFromRoom(room, clientId) {
+    room.removeProfile(clientId);
+    broadcastToRoom(room.code, {
+        type: 'playerLeft',
+        id: clientId
+    });
+
+    // Leaving an elimination match forfeits it; the player's targets go with them
+    if (room.hasElimination && room.match.phase === MatchStateMachine.PHASES.PLAYING) {
+        room.hitResolver.removeOwnedTargets(clientId).forEach(id => {
+            broadcastToRoom(room.code, {
+                type: 'birdRemoved',
+                data: { id }
+            });
+        });
+        room.elimination.playerLeft(clientId);
+    }
+
+    if (room.size === 0 && room.suspended.size === 0) {
+        if (room.spectators.size > 0) {
+            closeRoom(room.code, 'All players have left the room');
+            return;
+        }
+        rooms.delete(room.code);
+        room.dispose();
+        console.log(`Room ${room.code} deleted`);
+    } else if (room.hostId === clientId && room.size > 0) {
+        migrateHost(room);
+    }
+    notifySlotAvailable(room);
+    scheduleRoomListBroadcast();
 }
 
 function handleAutoJoin(ws, client) {
+    if (client.roomCode) return; // Already in a room on this connection
+
     console.log(`Client ${client.id} requesting auto-join`);
     
     // Find an existing room with space or create a new one
     let targetRoom = null;
     let targetRoomCode = null;
 
-    // Try to find an existing room with space
+    // Try to find an existing public, unlocked room with space
     console.log('Looking for available rooms...');
     for (const [roomCode, room] of rooms.entries()) {
         console.log(`Checking room ${roomCode}: ${room.size} players`);
-        if (room.size < 4) { // Maximum 4 players per room
+        if (room.acceptsQuickJoin) {
             targetRoom = room;
             targetRoomCode = roomCode;
             console.log(`Found suitable room: ${roomCode}`);
@@ -268,23 +825,25 @@ function handleAutoJoin(ws, client) {
     // If no suitable room found, create a new one
     if (!targetRoom) {
         targetRoomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-        targetRoom = new Set();
-        rooms.set(targetRoomCode, targetRoom);
+        targetRoom = createRoom(targetRoomCode);
+        targetRoom.hostId = client.id;
         console.log(`Created new room: ${targetRoomCode}`);
     }
 
     // Add client to room
-    targetRoom.add(ws);
+    targetRoom.clients.add(ws);
     client.roomCode = targetRoomCode;
+    const profile = targetRoom.addProfile(client.id, client.profile);
     console.log(`Added client ${client.id} to room ${targetRoomCode}`);
 
     // Get current players in the room
-    const currentPlayers = Array.from(targetRoom)
+    const currentPlayers = Array.from(targetRoom.clients)
         .filter(playerWs => playerWs !== ws) // Exclude the joining player
         .map(playerWs => {
             const playerClient = clients.get(playerWs);
             return {
                 id: playerClient.id,
+                profile: targetRoom.profiles.get(playerClient.id),
                 position: playerClient.position,
                 headPosition: playerClient.headPosition,
                 headRotation: playerClient.headRotation,
@@ -298,25 +857,391 @@ function handleAutoJoin(ws, client) {
     const confirmMessage = {
         type: 'autoJoinConfirm',
         roomCode: targetRoomCode,
+        hostId: targetRoom.hostId,
+        settings: targetRoom.settings,
+        profile,
         players: currentPlayers
     };
     console.log('Sending autoJoinConfirm:', confirmMessage);
     ws.send(JSON.stringify(confirmMessage));
+    sendRoomSnapshot(ws, targetRoom);
+    scheduleRoomListBroadcast();
 
     // Notify other clients in the room
     broadcastToRoom(targetRoomCode, {
         type: 'playerJoined',
-        id: client.id
+        id: client.id,
+        profile
     }, ws);
 
     console.log(`Client ${client.id} auto-joined room ${targetRoomCode}`);
 }
 
+function createRoom(roomCode, settings, course = null) {
+    const room = new Room(roomCode, settings, course);
+    rooms.set(roomCode, room);
+
+    // Combos count hits in a row and break on a miss
+    room.hitResolver.onHit = (shooterId) => {
+        room.getScoreState(shooterId).recordHit();
+        room.getStats(shooterId).hits++;
+        room.statsChanged = true;
+    };
+    room.hitResolver.onMiss = (shooterId) => {
+        room.getScoreState(shooterId).recordMiss();
+        room.statsChanged = true;
+    };
+
+    // Wave mode: every escaped target costs the room a life.
+    // Time attack: a target that times out still counts towards finishing the course.
+    room.hitResolver.onEscape = (target) => {
+        if (room.match.phase !== MatchStateMachine.PHASES.PLAYING) return;
+        if (room.hasWaves) {
+            broadcastToRoom(roomCode, {
+                type: 'birdRemoved',
+                data: { id: target.id }
+            });
+            room.waves.targetEscaped();
+        } else if (room.courseRun) {
+            room.courseRun.targetResolved(target.expiresAt);
+        }
+    };
+    room.waves.onChange = (state) => {
+        broadcastToRoom(roomCode, {
+            type: 'waveState',
+            data: state
+        });
+    };
+    room.waves.onLivesOut = () => room.match.finish();
+    if (room.courseRun) {
+        room.courseRun.onChange = (state) => {
+            broadcastToRoom(roomCode, {
+                type: 'courseState',
+                data: state
+            });
+        };
+        room.courseRun.onComplete = () => room.match.finish();
+    }
+    room.elimination.onChange = (state) => {
+        broadcastToRoom(roomCode, {
+            type: 'eliminationState',
+            data: state
+        });
+    };
+    room.elimination.onLastStanding = () => room.match.finish();
+
+    room.match.onPhaseChange = (state) => {
+        // Targets and bullets never carry over between matches
+        if (state.phase !== MatchStateMachine.PHASES.PLAYING) {
+            room.hitResolver.reset();
+        }
+        if (state.phase === MatchStateMachine.PHASES.COUNTDOWN) {
+            room.scores.clear();
+            room.stats.clear();
+            room.statsChanged = false;
+            room.weapons.clear(); // Everyone starts with a full magazine
+            room.scoreStates.clear();
+        } else if (state.phase === MatchStateMachine.PHASES.PLAYING) {
+            // Everyone in at the start is on the record, even without a shot fired
+            room.profiles.forEach((profile, id) => room.getStats(id));
+        }
+        broadcastToRoom(roomCode, {
+            type: 'matchPhase',
+            data: state
+        });
+        if (room.courseRun && state.phase === MatchStateMachine.PHASES.PLAYING) {
+            room.courseRun.start(state.startTime);
+        } else if (room.courseRun && state.phase !== MatchStateMachine.PHASES.RESULTS) {
+            room.courseRun.reset();
+            room.courseRun.notify();
+        }
+        if (room.hasWaves && state.phase === MatchStateMachine.PHASES.PLAYING) {
+            room.waves.start();
+        } else if (room.hasWaves && state.phase !== MatchStateMachine.PHASES.RESULTS) {
+            // Results keep showing the wave the room reached
+            room.waves.reset();
+            room.waves.notify();
+        }
+        if (room.hasElimination && state.phase === MatchStateMachine.PHASES.PLAYING) {
+            // Sides are laid out in the order players joined
+            room.elimination.start(Array.from(room.profiles.keys()));
+        } else if (room.hasElimination && state.phase !== MatchStateMachine.PHASES.RESULTS) {
+            room.elimination.reset();
+            room.elimination.notify();
+        }
+        if (state.phase === MatchStateMachine.PHASES.RESULTS) {
+            const results = room.getResults();
+            broadcastToRoom(roomCode, {
+                type: 'matchResults',
+                data: results
+            });
+            recordMatch(room, results);
+        }
+        scheduleRoomListBroadcast();
+    };
+
+    return room;
+}
+
+// When a shot was fired by the shooter's clock, kept out of the future and
+// no further back than MAX_FIRE_DELAY
+function getFireTime(time, now = Date.now()) {
+    return time === undefined ? now : Math.max(now - MAX_FIRE_DELAY, Math.min(now, time));
+}
+
+// Adds a finished match to the history the leaderboards are built from
+function recordMatch(room, results) {
+    if (results.players.length === 0) return;
+
+    const match = matchHistory.record({
+        roomCode: room.code,
+        roomName: room.settings.name,
+        gameMode: room.settings.gameMode,
+        courseId: results.course?.id ?? null,
+        completionTime: results.course?.completionTime ?? null,
+        startedAt: room.match.startTime,
+        endedAt: Date.now(),
+        players: results.players.map(({ id, ...player }) => ({ ...player, profileId: room.getStats(id).profileId })),
+        teams: results.teams,
+        winningTeam: results.winningTeam,
+        lastStanding: results.elimination?.winner ?? null
+    });
+    console.log(`Recorded match ${match.id} in room ${room.code}`);
+}
+
+// Hand spawning duties to the longest-connected remaining player
+function migrateHost(room) {
+    const [nextHostWs] = room.clients;
+    const nextHost = clients.get(nextHostWs);
+    room.hostId = nextHost.id;
+    console.log(`Client ${nextHost.id} is now host of room ${room.code}`);
+
+    broadcastToRoom(room.code, {
+        type: 'hostChanged',
+        hostId: room.hostId
+    });
+}
+
+// Everything a player entering mid-match needs to see the room as it is now
+function sendRoomSnapshot(ws, room) {
+    ws.send(JSON.stringify({
+        type: 'roomSnapshot',
+        data: {
+            match: room.match.getState(),
+            targets: room.hitResolver.getTargetStates(),
+            scores: Array.from(room.scores, ([id, score]) => ({ id, score })),
+            profiles: room.getProfiles(),
+            stats: room.match.phase === MatchStateMachine.PHASES.PLAYING ? { players: room.getResults().players } : null,
+            waves: room.hasWaves ? room.waves.getState() : null,
+            course: room.courseRun ? room.courseRun.getState() : null,
+            elimination: room.hasElimination ? room.elimination.getState() : null,
+            results: room.match.phase === MatchStateMachine.PHASES.RESULTS ? room.getResults() : null
+        }
+    }));
+}
+
+function handleRequestStart(ws, client) {
+    const room = rooms.get(client.roomCode);
+    if (!room) return;
+
+    const reason = room.match.requestStart(room.size);
+    if (reason) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: reason
+        }));
+    } else {
+        console.log(`Client ${client.id} started a match in room ${room.code}`);
+    }
+}
+
+function recordViolation(ws, client, data, reason) {
+    client.violations++;
+    const type = typeof data?.type === 'string' ? data.type.slice(0, 32) : 'message';
+    console.warn(`Rejected ${type} from client ${client.id}: ${reason} (${client.violations} violations)`);
+    penalize(ws, client);
+}
+
+// Escalate repeated drops and rejections: warn the client once, then disconnect it
+function penalize(ws, client) {
+    switch (client.limiter.strike()) {
+        case 'warn':
+            console.warn(`Client ${client.id} is flooding (allowed/dropped: ${client.limiter.describe()})`);
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'You are sending too many messages and will be disconnected if this continues'
+            }));
+            break;
+
+        case 'disconnect':
+            console.warn(`Disconnecting client ${client.id} for flooding (allowed/dropped: ${client.limiter.describe()})`);
+            disconnectClient(ws, client, 'Message flood');
+            break;
+    }
+}
+
+// Close a connection without holding a slot for it to resume into
+function disconnectClient(ws, client, reason) {
+    client.kicked = true;
+    ws.close(1008, reason);
+}
+
+function summarizeRoom(room) {
+    return {
+        code: room.code,
+        settings: room.settings,
+        playerCount: room.size,
+        suspendedCount: room.suspended.size,
+        spectatorCount: room.spectators.size,
+        hostId: room.hostId,
+        phase: room.match.phase
+    };
+}
+
+function listRooms() {
+    return Array.from(rooms.values()).map(summarizeRoom);
+}
+
+function describeRoom(roomCode) {
+    const room = rooms.get(roomCode);
+    if (!room) return null;
+
+    const players = Array.from(room.clients).map(playerWs => clients.get(playerWs).id)
+        .map(id => ({ id, name: room.profiles.get(id)?.name, connected: true, score: room.scores.get(id) || 0 }));
+    room.suspended.forEach(id => {
+        players.push({ id, name: room.profiles.get(id)?.name, connected: false, score: room.scores.get(id) || 0 });
+    });
+
+    return {
+        ...summarizeRoom(room),
+        match: room.match.getState(),
+        players,
+        spectators: Array.from(room.spectators).map(spectatorWs => ({ id: clients.get(spectatorWs).id })),
+        targets: room.hitResolver.getTargetStates().length
+    };
+}
+
+function kickPlayer(roomCode, playerId, reason) {
+    const room = rooms.get(roomCode);
+    if (!room) return false;
+
+    // Spectators can be kicked too; they have no slot to hold
+    for (const playerWs of room.getConnections()) {
+        const client = clients.get(playerWs);
+        if (client.id === playerId) {
+            playerWs.send(JSON.stringify({
+                type: 'error',
+                message: reason || 'You were removed from the room by an administrator'
+            }));
+            disconnectClient(playerWs, client, 'Kicked');
+            return true;
+        }
+    }
+
+    // A player who is mid-reconnect loses their held slot instead
+    if (room.suspended.has(playerId)) {
+        cancelSuspendedSession(playerId);
+        room.suspended.delete(playerId);
+        removeFromRoom(room, playerId);
+        return true;
+    }
+    return false;
+}
+
+function closeRoom(roomCode, reason) {
+    const room = rooms.get(roomCode);
+    if (!room) return false;
+
+    room.getConnections().forEach(playerWs => {
+        const client = clients.get(playerWs);
+        client.roomCode = null;
+        client.spectating = false;
+        if (playerWs.readyState === WebSocket.OPEN) {
+            playerWs.send(JSON.stringify({
+                type: 'roomClosed',
+                message: reason || 'This room was closed by an administrator'
+            }));
+        }
+    });
+    room.suspended.forEach(id => cancelSuspendedSession(id));
+
+    rooms.delete(roomCode);
+    room.dispose();
+    console.log(`Room ${roomCode} closed`);
+    scheduleRoomListBroadcast();
+    return true;
+}
+
+function listPublicRooms() {
+    return Array.from(rooms.values())
+        .filter(room => room.settings.isPublic)
+        .map(room => room.getListing());
+}
+
+// Coalesce room changes into one update for everyone browsing the lobby
+let roomListTimer = null;
+function scheduleRoomListBroadcast() {
+    if (roomListTimer) return;
+    roomListTimer = setTimeout(() => {
+        roomListTimer = null;
+        const messageStr = JSON.stringify({
+            type: 'roomList',
+            rooms: listPublicRooms()
+        });
+        for (const [clientWs, client] of clients) {
+            if (client.browsing && !client.roomCode && clientWs.readyState === WebSocket.OPEN) {
+                clientWs.send(messageStr);
+            }
+        }
+    }, ROOM_LIST_THROTTLE);
+}
+
+// Returns how many clients were sent the notice, or null for an unknown room
+function broadcastNotice(message, roomCode) {
+    let targets;
+    if (roomCode !== undefined) {
+        const room = rooms.get(roomCode);
+        if (!room) return null;
+        targets = room.getConnections();
+    } else {
+        targets = Array.from(clients.keys());
+    }
+
+    const messageStr = JSON.stringify({ type: 'notice', message });
+    let recipients = 0;
+    targets.forEach(targetWs => {
+        if (targetWs.readyState === WebSocket.OPEN) {
+            targetWs.send(messageStr);
+            recipients++;
+        }
+    });
+    return recipients;
+}
+
+// Pose packets are relayed without decoding; only the sender id is rewritten
+function handlePosePacket(ws, packet) {
+    const client = clients.get(ws);
+    if (!client || !client.roomCode) return;
+    if (packet.length <= POSE_HEADER_SIZE || packet.length > MAX_POSE_SIZE) return;
+    if (packet[0] !== POSE_PROTOCOL_VERSION) return;
+
+    packet.writeUInt32LE(client.id, POSE_SENDER_OFFSET);
+
+    const room = rooms.get(client.roomCode);
+    if (room) {
+        room.getConnections().forEach(other => {
+            if (other !== ws && other.readyState === WebSocket.OPEN) {
+                other.send(packet, { binary: true });
+            }
+        });
+    }
+}
+
 function broadcastToRoom(roomCode, message, exclude = null) {
     const room = rooms.get(roomCode);
     if (room) {
         const messageStr = JSON.stringify(message);
-        room.forEach(client => {
+        room.getConnections().forEach(client => {
             if (client !== exclude && client.readyState === WebSocket.OPEN) {
                 client.send(messageStr);
             }
@@ -324,11 +1249,59 @@ function broadcastToRoom(roomCode, message, exclude = null) {
     }
 }
 
-// Start server
-server.listen(port, () => {
-    console.log(`Server running at:`);
-    console.log(`- Local: https://localhost:${port}`);
-    console.log(`- Network: https://${ip.address()}:${port}`);
-}).on('error', (error) => {
-    console.error('Failed to start server:', error);
+// Advance bullets in every room and broadcast the authoritative kills and live stats
+setInterval(() => {
+    for (const [roomCode, room] of rooms) {
+        // Targets need stepping without bullets too, so escapes are noticed
+        if (!room.hitResolver.hasBullets() && !room.hitResolver.hasTargets()) continue;
+
+        room.hitResolver.step().forEach(kill => {
+            // An escape or an earlier kill this step may have ended the match
+            if (room.match.phase !== MatchStateMachine.PHASES.PLAYING) return;
+
+            const award = room.getScoreState(kill.shooterId).scoreKill(kill);
+            room.scores.set(kill.shooterId, (room.scores.get(kill.shooterId) || 0) + award.points);
+            const stats = room.getStats(kill.shooterId);
+            stats.kills++;
+            stats.totalTimeToKill += Math.max(0, kill.time - kill.spawnTime);
+            stats.longestShot = Math.max(stats.longestShot, kill.distance);
+            stats.bestStreak = Math.max(stats.bestStreak, award.streak);
+            console.log(`Client ${kill.shooterId} destroyed target ${kill.id} in room ${roomCode} for ${award.points} points`);
+            broadcastToRoom(roomCode, {
+                type: 'birdKilled',
+                senderId: kill.shooterId,
+                data: { ...kill, award }
+            });
+            if (room.hasWaves) {
+                room.waves.targetKilled();
+            } else if (room.courseRun) {
+                room.courseRun.targetResolved(kill.time);
+            } else if (room.hasElimination) {
+                room.elimination.targetDestroyed(kill.owner);
+            }
+        });
+
+        // Live numbers for the stats panels, at most once per step
+        if (room.statsChanged && room.match.phase === MatchStateMachine.PHASES.PLAYING) {
+            room.statsChanged = false;
+            broadcastToRoom(roomCode, {
+                type: 'playerStats',
+                data: { players: room.getResults().players }
+            });
+        }
+    }
+}, SIMULATION_INTERVAL);
+
+// Start server once the shared game rules, match history and courses are loaded
+Promise.all([shared.load(), matchHistory.load()]).then(() => courseLibrary.load()).then(() => {
+    server.listen(port, () => {
+        console.log(`Server running at:`);
+        console.log(`- Local: https://localhost:${port}`);
+        console.log(`- Network: https://${ip.address()}:${port}`);
+    }).on('error', (error) => {
+        console.error('Failed to start server:', error);
+    });
+}).catch((error) => {
+    console.error('Failed to load shared modules, match history or courses:', error);
+    process.exit(1);
 });
@@ -0,0 +1,24 @@
+// Game rules in /shared are ES modules so the browser can import them as-is.
+// CommonJS can't require() them, so they are loaded once before the server
+// starts listening and read synchronously from here afterwards.
+const shared = {
+    weapons: null,
+    scoring: null,
+    teams: null,
+    waves: null,
+    courses: null,
+    elimination: null,
+    movement: null
+};
+
+shared.load = async () => {
+    shared.weapons = await import('../shared/weapons.js');
+    shared.scoring = await import('../shared/scoring.js');
+    shared.teams = await import('../shared/teams.js');
+    shared.waves = await import('../shared/waves.js');
+    shared.courses = await import('../shared/courses.js');
+    shared.elimination = await import('../shared/elimination.js');
+    shared.movement = await import('../shared/movement.js');
+};
+
+module.exports = shared;
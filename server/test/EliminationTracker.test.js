@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shared = require('../shared');
+const EliminationTracker = require('../EliminationTracker');
+
+test.before(() => shared.load());
+
+function knockOut(elimination, owner) {
+    for (let i = 0; i < shared.elimination.TARGETS_PER_PLAYER; i++) elimination.targetDestroyed(owner);
+}
+
+test('each player gets their own number of targets, kept on their side', () => {
+    const elimination = new EliminationTracker();
+    elimination.start([1, 2]);
+
+    const position = elimination.spawnTarget(1, [100, 2, -5]);
+    const side = shared.elimination.getSideBounds(0, 2);
+    assert.strictEqual(position[0], side.maxX);
+
+    for (let i = 1; i < shared.elimination.TARGETS_PER_PLAYER; i++) elimination.spawnTarget(1, [0, 2, -5]);
+    assert.strictEqual(elimination.spawnTarget(1, [0, 2, -5]), null);
+    assert.strictEqual(elimination.spawnTarget(3, [0, 2, -5]), null); // Not in the match
+});
+
+test('the last player with targets left wins', () => {
+    const elimination = new EliminationTracker();
+    let finished = 0;
+    elimination.onLastStanding = () => finished++;
+    elimination.start([1, 2, 3]);
+
+    knockOut(elimination, 2);
+    assert.strictEqual(elimination.isEliminated(2), true);
+    assert.strictEqual(finished, 0);
+
+    elimination.playerLeft(3);
+    assert.strictEqual(finished, 1);
+    assert.strictEqual(elimination.getWinnerId(), 1);
+    assert.deepStrictEqual(elimination.getStandings().map(player => player.id), [1, 3, 2]);
+
+    // Nothing changes once the match is decided
+    knockOut(elimination, 1);
+    assert.strictEqual(elimination.isEliminated(1), false);
+    assert.strictEqual(finished, 1);
+});
+
+test('a match that runs out of time goes to the most targets left, or nobody on a tie', () => {
+    const elimination = new EliminationTracker();
+    elimination.start([1, 2]);
+    elimination.targetDestroyed(1);
+    assert.strictEqual(elimination.getWinnerId(), 2);
+
+    elimination.targetDestroyed(2);
+    assert.strictEqual(elimination.getWinnerId(), null);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shared = require('../shared');
+const HitResolver = require('../HitResolver');
+
+test.before(() => shared.load());
+
+const START = 1000;
+
+function shoot(resolver, shooterId, position, direction = [0, 0, -1], speed = 20, now = START) {
+    return resolver.addBullet(shooterId, { position, direction, speed }, now);
+}
+
+test('a bullet that passes through a target between steps still hits it', () => {
+    const resolver = new HitResolver();
+    resolver.addTarget({ id: 't1', position: [0, 0, -5] }, START);
+    shoot(resolver, 1, [0, 0, 0]);
+
+    // 20 m/s for 500ms carries the bullet 5m past the target in a single step
+    const kills = resolver.step(START + 500);
+    assert.deepStrictEqual(kills, [{ id: 't1', type: 'ball', points: null, owner: null, position: [0, 0, -5], shooterId: 1, time: START + 250, spawnTime: START, distance: 5 }]);
+    assert.strictEqual(resolver.hasBullets(), false);
+});
+
+test('the bullet that reaches a target first takes it', () => {
+    const resolver = new HitResolver();
+    resolver.addTarget({ id: 't1', position: [0, 0, -5] }, START);
+    shoot(resolver, 1, [0, 0, 0]);
+    shoot(resolver, 2, [0, 0, -4]);
+
+    const kills = resolver.step(START + 500);
+    assert.deepStrictEqual(kills.map(kill => kill.shooterId), [2]);
+    // The later bullet flies on
+    assert.strictEqual(resolver.hasBullets(), true);
+});
+
+test('bullets that miss and targets that time out are dropped', () => {
+    const resolver = new HitResolver();
+    resolver.addTarget({ id: 't1', position: [0, 0, -5] }, START);
+    shoot(resolver, 1, [1, 0, 0]);
+
+    assert.deepStrictEqual(resolver.step(START + 2500), []);
+    assert.strictEqual(resolver.hasBullets(), false);
+
+    resolver.step(START + 60000);
+    assert.strictEqual(resolver.removeTarget('t1'), false);
+});
+
+test('bullets without a speed or direction are refused', () => {
+    const resolver = new HitResolver();
+    assert.strictEqual(shoot(resolver, 1, [0, 0, 0], [0, 0, 0]), false);
+    assert.strictEqual(shoot(resolver, 1, [0, 0, 0], [0, 0, -1], 0), false);
+    assert.strictEqual(resolver.addBullet(1, { position: [0, 0], direction: [0, 0, -1], speed: 20 }, START), false);
+    assert.strictEqual(resolver.hasBullets(), false);
+});
+
+test('moving targets are swept along their path, not at their spawn point', () => {
+    const resolver = new HitResolver();
+    // Crosses the bullet's line 250ms after spawning, just as the bullet gets there
+    resolver.addTarget({ id: 't1', position: [-1, 0, -5], direction: [2, 0, 0] }, START, { speed: 4 });
+    shoot(resolver, 1, [0, 0, 0]);
+
+    const [kill] = resolver.step(START + 500);
+    assert.strictEqual(kill.time, START + 250);
+    assert.deepStrictEqual(kill.position, [0, 0, -5]);
+});
+
+test('tougher targets take several hits, and the ones left alone escape', () => {
+    const resolver = new HitResolver();
+    const escaped = [];
+    resolver.onEscape = target => escaped.push(target.id);
+    resolver.addTarget({ id: 'tank', position: [0, 0, -5] }, START, { type: 'tank', health: 50 });
+    resolver.addTarget({ id: 'dart', position: [5, 0, -5] }, START, { type: 'dart', lifespan: 1000 });
+
+    shoot(resolver, 1, [0, 0, 0]);
+    assert.deepStrictEqual(resolver.step(START + 500), []);
+    shoot(resolver, 1, [0, 0, 0], undefined, undefined, START + 500);
+    assert.deepStrictEqual(resolver.step(START + 1000).map(kill => kill.type), ['tank']);
+
+    assert.deepStrictEqual(escaped, []);
+    resolver.step(START + 1001);
+    assert.deepStrictEqual(escaped, ['dart']);
+});
+
+test('shots pass through the shooter\'s own targets', () => {
+    const resolver = new HitResolver();
+    resolver.addTarget({ id: 'mine', position: [0, 0, -3] }, START, { owner: 1, persistent: true });
+    resolver.addTarget({ id: 'theirs', position: [0, 0, -5] }, START, { owner: 2, persistent: true });
+    shoot(resolver, 1, [0, 0, 0]);
+
+    assert.deepStrictEqual(resolver.step(START + 500).map(kill => [kill.id, kill.owner]), [['theirs', 2]]);
+    assert.deepStrictEqual(resolver.removeOwnedTargets(1), ['mine']);
+    assert.strictEqual(resolver.hasTargets(), false);
+});
+
+test('evasive targets hear of shots fired since they spawned, even before they arrived', () => {
+    const resolver = new HitResolver();
+    const evasive = { evadesShots: true, positionAt: () => [5, 0, -5] };
+    shoot(resolver, 1, [0, 0, 0], [0, 0, -1], 20, START - 100);
+    shoot(resolver, 2, [1, 0, 0], [0, 0, -1], 20, START + 100);
+
+    // The host spawned it at START; its spawn message got here after both shots
+    resolver.addTarget({ id: 'late', position: [5, 0, -5], spawnTime: START }, START + 150, evasive);
+    shoot(resolver, 3, [2, 0, 0], [0, 0, -1], 20, START + 200);
+    resolver.addTarget({ id: 'plain', position: [5, 0, -5] }, START + 200);
+
+    assert.deepStrictEqual(resolver.getTargetShots('late'), [
+        { time: 100, origin: [1, 0, 0], direction: [0, 0, -1] },
+        { time: 200, origin: [2, 0, 0], direction: [0, 0, -1] }
+    ]);
+    assert.strictEqual(resolver.getTargetShots('plain'), null);
+});
+
+test('snapshots list live targets only', () => {
+    const resolver = new HitResolver();
+    resolver.addTarget({ id: 't1', position: [0, 0, -5], spawnTime: 900 }, START);
+    assert.deepStrictEqual(resolver.getTargetStates(START), [
+        { id: 't1', type: 'ball', position: [0, 0, -5], direction: [0, 0, 0], speed: 0, movement: null, shots: null, health: 25, courseIndex: null, owner: null, spawnTime: 900 }
+    ]);
+    assert.deepStrictEqual(resolver.getTargetStates(START + 60000), []);
+});
+
+test('shots are rewound to their fire time, but no further than the lag compensation allows', () => {
+    const resolver = new HitResolver();
+    resolver.addTarget({ id: 't1', position: [0, 0, -6] }, START);
+
+    // Claims to be a second old; only 250ms of that is honoured, so it has flown 5m
+    resolver.addBullet(1, { position: [0, 0, 0], direction: [0, 0, -1], speed: 20, time: START - 1000 }, START);
+    assert.deepStrictEqual(resolver.step(START), []);
+    assert.deepStrictEqual(resolver.step(START + 100).map(kill => kill.id), ['t1']);
+});
+
+test('shots from the future are taken as fired now', () => {
+    const resolver = new HitResolver();
+    resolver.addTarget({ id: 't1', position: [0, 0, -1] }, START);
+    resolver.addBullet(1, { position: [0, 0, 0], direction: [0, 0, -1], speed: 20, time: START + 1000 }, START);
+    assert.deepStrictEqual(resolver.step(START + 20), []);
+    assert.deepStrictEqual(resolver.step(START + 60).map(kill => kill.id), ['t1']);
+});
+
+test('every bullet is reported once, as a hit or as a miss', () => {
+    const resolver = new HitResolver();
+    const hits = [];
+    const misses = [];
+    resolver.onHit = shooterId => hits.push(shooterId);
+    resolver.onMiss = shooterId => misses.push(shooterId);
+    resolver.addTarget({ id: 't1', position: [0, 0, -5] }, START);
+    shoot(resolver, 1, [0, 0, 0]);
+    shoot(resolver, 2, [0, 0, 0], [0, 1, 0]);
+
+    resolver.step(START + 500);
+    resolver.step(START + 3000);
+    assert.deepStrictEqual(hits, [1]);
+    assert.deepStrictEqual(misses, [2]);
+});
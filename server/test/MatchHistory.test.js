@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MatchHistory = require('../MatchHistory');
+
+function player(name, score, profileId = null) {
+    return { name, profileId, score, hits: 1, kills: 1, shots: 2, accuracy: 0.5 };
+}
+
+function historyOf(...matches) {
+    const history = new MatchHistory('/nonexistent/match-history.jsonl');
+    history.matches = matches.map((players, index) => ({
+        id: `m${index}`,
+        endedAt: index + 1,
+        duration: 1,
+        players
+    }));
+    return history;
+}
+
+test('leaderboards leave out unnamed players without a profile', () => {
+    const history = historyOf([player('Player 1', 10), player('Alex', 5)], [player('Player 1', 20)]);
+    assert.deepStrictEqual(history.getLeaderboard().map(entry => entry.name), ['Alex']);
+    assert.strictEqual(history.getPlayer('Player 1'), null);
+});
+
+test('a profile keeps one player together under room-unique names', () => {
+    const history = historyOf(
+        [player('Alex', 10, 'a'), player('Alex 2', 5, 'b')],
+        [player('Alex 2', 20, 'a'), player('Alex', 1, 'b')]
+    );
+    const board = history.getLeaderboard();
+    assert.deepStrictEqual(board.map(entry => [entry.name, entry.score, entry.matches]), [['Alex 2', 30, 2], ['Alex', 6, 2]]);
+
+    const alex = history.getPlayer('alex');
+    assert.strictEqual(alex.score, 6);
+    assert.deepStrictEqual(alex.recent.map(match => match.score), [1, 5]);
+});
+
+test('a profile that never picked a name stays off the boards', () => {
+    const history = historyOf([player('Player 3', 10, 'c')], [player('Player 4', 10, 'c')]);
+    assert.deepStrictEqual(history.getLeaderboard(), []);
+});
+
+test('the weekly board only counts matches from the last 7 days', () => {
+    const history = historyOf([player('Alex', 10)]);
+    assert.strictEqual(history.getWeeklyLeaderboard({}, 1).length, 1);
+    assert.strictEqual(history.getWeeklyLeaderboard({}, 8 * 24 * 60 * 60 * 1000).length, 0);
+});
+
+test('a course board keeps each player\'s best run, finished runs first', () => {
+    const history = historyOf([player('Alex', 10, 'a')], [player('Alex', 10, 'a')], [player('Sam', 10), player('Player 2', 50)]);
+    history.matches.forEach(match => { match.courseId = 'sprint'; });
+    history.matches[0].completionTime = 9000;
+    history.matches[1].completionTime = 7000;
+    history.matches[2].completionTime = null;
+
+    const board = history.getCourseLeaderboard('sprint');
+    assert.deepStrictEqual(board.map(run => [run.name, run.completionTime]), [['Alex', 7000], ['Sam', null]]);
+    assert.deepStrictEqual(history.getCourseLeaderboard('other'), []);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateMessage } = require('../MessageValidator');
+
+const shot = {
+    type: 'bulletSpawned',
+    roomCode: 'ABC123',
+    data: { position: [0, 1.6, 0], direction: [0, 0, -1], speed: 20, time: 1000, playSound: true }
+};
+
+test('well-formed messages pass', () => {
+    assert.strictEqual(validateMessage(shot), null);
+    assert.strictEqual(validateMessage({ type: 'timeSync', clientTime: 1000 }), null);
+    assert.strictEqual(validateMessage({ type: 'birdRemoved', data: { id: 'ball-1' } }), null);
+});
+
+test('unknown fields are rejected, at the top level and inside data', () => {
+    assert.strictEqual(validateMessage({ ...shot, extra: 1 }), "unknown field 'extra'");
+    assert.strictEqual(validateMessage({ ...shot, data: { ...shot.data, damage: 100 } }), "data: unknown field 'damage'");
+});
+
+test('unknown types and malformed messages are rejected', () => {
+    assert.match(validateMessage({ type: 'giveMePoints' }), /unknown message type/);
+    assert.strictEqual(validateMessage(null), 'not an object');
+    assert.strictEqual(validateMessage([shot]), 'not an object');
+    assert.strictEqual(validateMessage({ data: shot.data }), 'missing type');
+});
+
+test('fields are checked for presence, type and range', () => {
+    const { speed, ...withoutSpeed } = shot.data;
+    assert.strictEqual(validateMessage({ ...shot, data: withoutSpeed }), "data: missing field 'speed'");
+    assert.strictEqual(validateMessage({ ...shot, data: { ...shot.data, speed: '20' } }), 'data: speed: expected a number');
+    assert.strictEqual(validateMessage({ ...shot, data: { ...shot.data, speed: 1e6 } }), 'data: speed: above 1000');
+    assert.strictEqual(validateMessage({ ...shot, data: { ...shot.data, position: [0, 1] } }), 'data: position: expected 3 numbers');
+    assert.strictEqual(validateMessage({ ...shot, roomCode: 'no spaces' }), 'roomCode: bad format');
+});
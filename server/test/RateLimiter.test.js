@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../RateLimiter');
+
+const LIMITS = {
+    bulletSpawned: { rate: 10, burst: 2 },
+    voice: { rate: 1, burst: 1 },
+    default: { rate: 1, burst: 1 }
+};
+
+test('a bucket allows its burst, then refills at its rate', () => {
+    const limiter = new RateLimiter(LIMITS);
+    assert.strictEqual(limiter.consume('bulletSpawned', 0), true);
+    assert.strictEqual(limiter.consume('bulletSpawned', 0), true);
+    assert.strictEqual(limiter.consume('bulletSpawned', 0), false);
+    // 10 per second: one token back after 100ms
+    assert.strictEqual(limiter.consume('bulletSpawned', 100), true);
+    assert.strictEqual(limiter.consume('bulletSpawned', 100), false);
+    assert.strictEqual(limiter.describe(), 'bulletSpawned 3/2');
+});
+
+test('voice messages share a bucket and unlisted types use the default one', () => {
+    const limiter = new RateLimiter(LIMITS);
+    assert.strictEqual(limiter.consume('voice_offer', 0), true);
+    assert.strictEqual(limiter.consume('voice_answer', 0), false);
+    assert.strictEqual(limiter.consume('leave', 0), true);
+    assert.strictEqual(limiter.consume('requestStart', 0), false);
+    // One type flooding doesn't starve another
+    assert.strictEqual(limiter.consume('bulletSpawned', 0), true);
+});
+
+test('strikes escalate from dropping to one warning to disconnecting', () => {
+    const limiter = new RateLimiter(LIMITS, { strikeWindow: 1000, warnStrikes: 3, disconnectStrikes: 5 });
+    const results = [1, 2, 3, 4, 5].map(n => limiter.strike(n));
+    assert.deepStrictEqual(results, ['drop', 'drop', 'warn', 'drop', 'disconnect']);
+});
+
+test('strikes are forgotten once their window has passed', () => {
+    const limiter = new RateLimiter(LIMITS, { strikeWindow: 1000, warnStrikes: 3, disconnectStrikes: 5 });
+    [1, 2, 3, 4].forEach(n => limiter.strike(n));
+    assert.strictEqual(limiter.strike(2000), 'drop');
+    assert.strictEqual(limiter.strike(2001), 'drop');
+    assert.strictEqual(limiter.strike(2002), 'warn');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shared = require('../shared');
+const Room = require('../Room');
+
+test.before(() => shared.load());
+
+test('Quick Join accepts a public room with a free slot', () => {
+    const room = new Room('QJ0001', { maxPlayers: 2 });
+    room.clients.add({});
+    assert.strictEqual(room.acceptsQuickJoin, true);
+});
+
+test('Quick Join never lands in a locked room', () => {
+    const room = new Room('QJ0002', { maxPlayers: 4, passphrase: 'secret' });
+    assert.strictEqual(room.isLocked, true);
+    assert.strictEqual(room.acceptsQuickJoin, false);
+});
+
+test('Quick Join skips private and full rooms', () => {
+    const hidden = new Room('QJ0003', { isPublic: false });
+    assert.strictEqual(hidden.acceptsQuickJoin, false);
+
+    const full = new Room('QJ0004', { maxPlayers: 2 });
+    full.clients.add({});
+    full.suspended.add(7); // A slot held for a reconnect still counts
+    assert.strictEqual(full.acceptsQuickJoin, false);
+});
+
+test('only the right passphrase opens a locked room', () => {
+    const room = new Room('PW0001', { passphrase: 'secret' });
+    assert.strictEqual(room.checkPassphrase('secret'), true);
+    assert.strictEqual(room.checkPassphrase('Secret'), false);
+    assert.strictEqual(room.checkPassphrase(undefined), false);
+    assert.strictEqual(new Room('PW0002').checkPassphrase(undefined), true);
+    // The passphrase itself is never kept in the settings sent to clients
+    assert.strictEqual(room.settings.passphrase, undefined);
+});
+
+test('invites are single-use and expire', () => {
+    const room = new Room('IN0001');
+    const token = room.createInvite(0);
+    assert.strictEqual(room.redeemInvite(token, 1000), true);
+    assert.strictEqual(room.redeemInvite(token, 1000), false);
+
+    const stale = room.createInvite(0);
+    assert.strictEqual(room.hasInvite(stale, 25 * 60 * 60 * 1000), false);
+});
+
+test('results rank players by score and derive their accuracy and time-to-kill', () => {
+    const room = new Room('RS0001', {});
+    room.addProfile(1, { name: 'Ada' });
+    Object.assign(room.getStats(1), { shots: 4, hits: 3, kills: 2, totalTimeToKill: 3000 });
+    room.scores.set(1, 20);
+    room.getStats(2).shots = 1;
+    room.scores.set(2, 30);
+
+    const [first, second] = room.getResults().players;
+    assert.strictEqual(first.id, 2);
+    assert.strictEqual(first.name, 'Player 2');
+    assert.strictEqual(first.averageTimeToKill, null);
+    assert.strictEqual(second.name, 'Ada');
+    assert.strictEqual(second.accuracy, 0.75);
+    assert.strictEqual(second.averageTimeToKill, 1500);
+});
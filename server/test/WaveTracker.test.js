@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shared = require('../shared');
+const WaveTracker = require('../WaveTracker');
+
+test.before(() => shared.load());
+
+test('a wave hands out exactly its own number of targets', () => {
+    const waves = new WaveTracker();
+    waves.start();
+    const { count } = shared.waves.getWave(1);
+
+    const spawned = [];
+    for (let target = waves.spawnTarget(); target; target = waves.spawnTarget()) {
+        spawned.push(target);
+    }
+    assert.strictEqual(spawned.length, count);
+    assert.strictEqual(waves.getState().spawned, count);
+    waves.dispose();
+});
+
+test('dealing with every target clears the wave and schedules the next', () => {
+    const waves = new WaveTracker();
+    const states = [];
+    waves.onChange = state => states.push(state);
+    waves.start();
+    const { count } = shared.waves.getWave(1);
+
+    for (let i = 0; i < count - 1; i++) waves.targetKilled();
+    waves.targetEscaped();
+
+    const state = waves.getState();
+    assert.strictEqual(state.status, 'cleared');
+    assert.strictEqual(state.remaining, 0);
+    assert.strictEqual(state.lives, shared.waves.STARTING_LIVES - 1);
+    assert.ok(state.nextWaveAt > Date.now());
+    assert.strictEqual(states.length, count + 1); // The wave starting, then every target
+
+    // Nothing counts between waves
+    waves.targetEscaped();
+    assert.strictEqual(waves.getState().lives, shared.waves.STARTING_LIVES - 1);
+    waves.dispose();
+});
+
+test('the room fails once its last life escapes', () => {
+    const waves = new WaveTracker();
+    let livesOut = 0;
+    waves.onLivesOut = () => livesOut++;
+    waves.start();
+    waves.definition = { ...waves.definition, count: Infinity }; // Never clears
+
+    for (let i = 0; i < shared.waves.STARTING_LIVES + 2; i++) waves.targetEscaped();
+
+    assert.strictEqual(waves.getState().status, 'failed');
+    assert.strictEqual(waves.getState().lives, 0);
+    assert.strictEqual(livesOut, 1);
+    waves.dispose();
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shared = require('../shared');
+
+test.before(() => shared.load());
+
+const ORIGIN = [0, 3, 0];
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+test('the same behaviour and seed give the same path everywhere', () => {
+    const { resolveMovement, movementPositionAt, BEHAVIOR_NAMES } = shared.movement;
+    for (const behavior of BEHAVIOR_NAMES) {
+        const a = resolveMovement({ behavior, seed: 1234 }, ORIGIN);
+        const b = resolveMovement({ behavior, seed: 1234 }, ORIGIN);
+        for (const elapsed of [0, 500, 4000, 60000]) {
+            assert.deepStrictEqual(movementPositionAt(a, elapsed), movementPositionAt(b, elapsed), `${behavior} at ${elapsed}ms`);
+        }
+    }
+    assert.strictEqual(resolveMovement({ behavior: 'teleport', seed: 1 }, ORIGIN), null);
+});
+
+test('moving targets stay inside the spawn area', () => {
+    const { resolveMovement, movementPositionAt, MOVEMENT_BOUNDS: bounds } = shared.movement;
+    for (const behavior of ['bounce', 'drift', 'blink']) {
+        const movement = resolveMovement({ behavior, seed: 99 }, ORIGIN);
+        for (let elapsed = 0; elapsed <= 120000; elapsed += 1000) {
+            const [x, y, z] = movementPositionAt(movement, elapsed);
+            assert.ok(x >= bounds.minX && x <= bounds.maxX, `${behavior} x at ${elapsed}ms`);
+            assert.ok(y >= bounds.minY && y <= bounds.maxY, `${behavior} y at ${elapsed}ms`);
+            assert.ok(z >= bounds.minZ && z <= bounds.maxZ, `${behavior} z at ${elapsed}ms`);
+        }
+    }
+});
+
+test('evasive targets sidestep close shots only, and only so many times', () => {
+    const { resolveMovement, movementPositionAt, DODGE } = shared.movement;
+    const movement = resolveMovement({ behavior: 'evade', seed: 7 }, ORIGIN);
+    const at = (elapsed, shots) => movementPositionAt(movement, elapsed, shots);
+
+    const wide = { time: 100, origin: [0, 3, 5], direction: [1, 0, -5] }; // Passes a metre off
+    const behind = { time: 100, origin: [0, 3, -1], direction: [0, 0, -1] };
+    assert.deepStrictEqual(at(1000, [wide, behind]), ORIGIN);
+
+    const close = { time: 100, origin: [0, 3, 5], direction: [0, 0, -1] };
+    assert.deepStrictEqual(at(100, [close]), ORIGIN); // Dodges start when the shot is fired
+    const moved = distance(at(100 + DODGE.duration, [close]), ORIGIN);
+    assert.ok(moved >= DODGE.minDistance - 1e-9 && moved <= DODGE.maxDistance + 1e-9);
+
+    // Every shot at where it is now would dodge it again, until it tires
+    const shots = [];
+    for (let i = 0; i < DODGE.maxDodges + 2; i++) {
+        const time = 100 + i * (DODGE.duration + 1);
+        const [x, y] = at(time, shots);
+        shots.push({ time, origin: [x, y, 5], direction: [0, 0, -1] });
+    }
+    const tired = at(10000, shots);
+    assert.deepStrictEqual(at(10000, shots.slice(0, DODGE.maxDodges)), tired);
+    assert.ok(distance(tired, ORIGIN) > DODGE.minDistance);
+});
+
+test('shot lists stay oldest first and stop growing at the cap', () => {
+    const { insertShot, MAX_SHOTS } = shared.movement;
+    const shots = [];
+    [30, 10, 20].forEach(time => insertShot(shots, { time }));
+    assert.deepStrictEqual(shots.map(shot => shot.time), [10, 20, 30]);
+
+    while (insertShot(shots, { time: 40 }));
+    assert.strictEqual(shots.length, MAX_SHOTS);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shared = require('../shared');
+
+test.before(() => shared.load());
+
+function kill(time, distance = 0, type = 'ball') {
+    return { type, distance, time };
+}
+
+test('a first kill scores the target base points', () => {
+    const state = new shared.scoring.ScoreState();
+    state.recordHit();
+    assert.deepStrictEqual(state.scoreKill(kill(1000)), {
+        points: 10, base: 10, distanceBonus: 0, multiplier: 1, combo: 1, streak: 1, streakBonus: 0
+    });
+});
+
+test('unknown target types score as the default one', () => {
+    const state = new shared.scoring.ScoreState();
+    state.recordHit();
+    assert.strictEqual(state.scoreKill(kill(1000, 0, 'dragon')).base, shared.scoring.TARGET_POINTS[shared.scoring.DEFAULT_TARGET_TYPE]);
+});
+
+test('long shots earn a capped distance bonus', () => {
+    assert.strictEqual(shared.scoring.distanceBonus(2), 0);
+    assert.strictEqual(shared.scoring.distanceBonus(5.5), 2);
+    assert.strictEqual(shared.scoring.distanceBonus(100), 10);
+});
+
+test('hits in a row build a capped combo multiplier and a miss resets it', () => {
+    assert.strictEqual(shared.scoring.comboMultiplier(1), 1);
+    assert.strictEqual(shared.scoring.comboMultiplier(3), 1.5);
+    assert.strictEqual(shared.scoring.comboMultiplier(20), 3);
+
+    const state = new shared.scoring.ScoreState();
+    state.recordHit();
+    state.recordHit();
+    assert.strictEqual(state.scoreKill(kill(1000)).multiplier, 1.25);
+    state.recordMiss();
+    state.recordHit();
+    assert.strictEqual(state.scoreKill(kill(2000)).multiplier, 1);
+});
+
+test('quick kills build a streak with one-off bonuses; a pause ends it', () => {
+    const state = new shared.scoring.ScoreState();
+    const awards = [0, 1000, 2000].map(time => {
+        state.recordMiss();
+        state.recordHit();
+        return state.scoreKill(kill(time));
+    });
+    assert.deepStrictEqual(awards.map(award => [award.streak, award.streakBonus, award.points]), [[1, 0, 10], [2, 0, 10], [3, 10, 20]]);
+
+    state.recordHit();
+    assert.strictEqual(state.scoreKill(kill(2000 + 4001)).streak, 1);
+});
+
+test('awards are described for the score popup', () => {
+    assert.strictEqual(shared.scoring.describeAward({ points: 22, multiplier: 1.5, streak: 3, streakBonus: 10 }), '+22 (x1.5 combo, 3 streak +10)');
+    assert.strictEqual(shared.scoring.describeAward({ points: 10, multiplier: 1, streak: 1, streakBonus: 0 }), '+10');
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shared = require('../shared');
+
+test.before(() => shared.load());
+
+const rifle = () => new shared.weapons.WeaponState();
+
+test('shots closer together than the fire interval are refused', () => {
+    const weapon = rifle();
+    assert.strictEqual(weapon.fire(1000), null);
+    assert.strictEqual(weapon.fire(1199), 'cooldown');
+    assert.strictEqual(weapon.fire(1200), null);
+    // A refused shot doesn't reset the cooldown
+    assert.strictEqual(weapon.ammo, 10);
+});
+
+test('the tolerance absorbs small clock corrections between two shots', () => {
+    const weapon = rifle();
+    weapon.fire(1000);
+    assert.strictEqual(weapon.fire(1185, 20), null);
+    assert.strictEqual(weapon.fire(1364, 20), 'cooldown');
+});
+
+test('an empty magazine is refused until the reload finishes', () => {
+    const weapon = rifle();
+    for (let i = 0; i < 12; i++) {
+        assert.strictEqual(weapon.fire(i * 200), null);
+    }
+    // The last round went at 2200; the reload takes 1500ms
+    assert.strictEqual(weapon.isReloading(2400), true);
+    assert.strictEqual(weapon.fire(2400), 'reloading');
+    assert.strictEqual(weapon.fire(3699), 'reloading');
+    assert.strictEqual(weapon.fire(3700), null);
+    assert.strictEqual(weapon.ammo, 11);
+});
@@ -0,0 +1,117 @@
+// Time-attack courses, shared by the client and the server.
+// A course file lists targets with a delay after the match starts, a lifetime,
+// an optional looping path and point value. Targets without a position get one
+// from the course's seed, so every run of a course is identical.
+import { createRandom, randomBetween } from './random.js';
+
+// Same box as BirdManager.spawnBoundary
+export const COURSE_BOUNDS = {
+    minX: -2.3, maxX: 2.3,
+    minY: 2.2, maxY: 4.0,
+    minZ: -1.3, maxZ: 1.3
+};
+
+export const DEFAULT_LIFETIME = 5000; // ms a target stays up
+export const DEFAULT_PATH_SPEED = 1;  // m/s along a target's path
+export const MAX_TARGETS = 200;
+
+function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 &&
+        value.every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+function isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Returns an error message for a malformed course file, or null
+export function validateCourse(course) {
+    if (!course || typeof course !== 'object') return 'not an object';
+    if (typeof course.id !== 'string' || !/^[a-z0-9-]{1,64}$/.test(course.id)) return 'id must be lowercase letters, digits and dashes';
+    if (typeof course.name !== 'string' || !course.name.trim()) return 'missing name';
+    if (course.seed !== undefined && !Number.isInteger(course.seed)) return 'seed must be an integer';
+    if (!Array.isArray(course.targets) || course.targets.length === 0) return 'no targets';
+    if (course.targets.length > MAX_TARGETS) return `more than ${MAX_TARGETS} targets`;
+
+    for (const [index, target] of course.targets.entries()) {
+        const problem =
+            target.position !== undefined && !isVector3(target.position) ? 'bad position' :
+            target.delay !== undefined && !isPositive(target.delay) ? 'bad delay' :
+            target.lifetime !== undefined && !(isPositive(target.lifetime) && target.lifetime > 0) ? 'bad lifetime' :
+            target.points !== undefined && !isPositive(target.points) ? 'bad points' :
+            target.speed !== undefined && !(isPositive(target.speed) && target.speed > 0) ? 'bad speed' :
+            target.path !== undefined && !(Array.isArray(target.path) && target.path.every(isVector3)) ? 'bad path' :
+            null;
+        if (problem) return `target ${index}: ${problem}`;
+    }
+    return null;
+}
+
+function randomPosition(random) {
+    return [
+        randomBetween(random, COURSE_BOUNDS.minX, COURSE_BOUNDS.maxX),
+        randomBetween(random, COURSE_BOUNDS.minY, COURSE_BOUNDS.maxY),
+        randomBetween(random, COURSE_BOUNDS.minZ, COURSE_BOUNDS.maxZ)
+    ];
+}
+
+// Expands a validated course file into the exact schedule every client and the
+// server use: defaults and seeded positions filled in, targets in spawn order
+export function resolveCourse(course) {
+    const random = createRandom(course.seed ?? 1);
+    const targets = course.targets
+        .map(target => ({
+            position: target.position ?? randomPosition(random),
+            delay: target.delay ?? 0,
+            lifetime: target.lifetime ?? DEFAULT_LIFETIME,
+            points: target.points ?? null, // null scores like a normal ball
+            path: target.path ?? [],
+            speed: target.speed ?? DEFAULT_PATH_SPEED
+        }))
+        .sort((a, b) => a.delay - b.delay)
+        .map((target, index) => ({ index, ...target }));
+
+    return {
+        id: course.id,
+        name: course.name,
+        seed: course.seed ?? 1,
+        targets,
+        duration: Math.max(...targets.map(target => target.delay + target.lifetime))
+    };
+}
+
+// Where a course target is `elapsed` ms after it appeared. Targets with a path
+// loop from their position through each waypoint and back at a constant speed.
+export function coursePositionAt(target, elapsed) {
+    if (target.path.length === 0) return target.position.slice();
+
+    const points = [target.position, ...target.path, target.position];
+    const lengths = [];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+        const length = Math.hypot(
+            points[i][0] - points[i - 1][0],
+            points[i][1] - points[i - 1][1],
+            points[i][2] - points[i - 1][2]
+        );
+        lengths.push(length);
+        total += length;
+    }
+    if (total === 0) return target.position.slice();
+
+    let distance = (target.speed * Math.max(0, elapsed) / 1000) % total;
+    for (let i = 0; i < lengths.length; i++) {
+        if (distance <= lengths[i] && lengths[i] > 0) {
+            const t = distance / lengths[i];
+            const from = points[i];
+            const to = points[i + 1];
+            return [
+                from[0] + (to[0] - from[0]) * t,
+                from[1] + (to[1] - from[1]) * t,
+                from[2] + (to[2] - from[2]) * t
+            ];
+        }
+        distance -= lengths[i];
+    }
+    return target.position.slice();
+}
@@ -0,0 +1,25 @@
+// Free-for-all "last target standing" mode, shared by the client and the server.
+// Every player owns a set of targets on their own side of the room. The host
+// spawns them, the server checks each one lands on its owner's side, and a
+// player whose targets are all shot down is out.
+import { COURSE_BOUNDS } from './courses.js';
+
+export const TARGETS_PER_PLAYER = 5;
+export const SPAWN_INTERVAL = 300; // ms between the host's spawns at the start of a match
+
+// The room split into one lane along x per player, in slot order
+export function getSideBounds(slot, slotCount) {
+    const width = (COURSE_BOUNDS.maxX - COURSE_BOUNDS.minX) / Math.max(1, slotCount);
+    const minX = COURSE_BOUNDS.minX + width * slot;
+    return { ...COURSE_BOUNDS, minX, maxX: minX + width };
+}
+
+// position moved inside the owner's side, if it was outside it
+export function clampToSide(position, slot, slotCount) {
+    const bounds = getSideBounds(slot, slotCount);
+    return [
+        Math.min(bounds.maxX, Math.max(bounds.minX, position[0])),
+        Math.min(bounds.maxY, Math.max(bounds.minY, position[1])),
+        Math.min(bounds.maxZ, Math.max(bounds.minZ, position[2]))
+    ];
+}
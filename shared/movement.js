@@ -0,0 +1,207 @@
+// Movement behaviours for HolographicBall targets, shared by the client and the server.
+// A spawn message carries { behavior, seed }; everyone resolves the same parameters
+// from the seed and works out the same position for any moment of the target's
+// life, so the path itself never goes over the network. Evasive targets also
+// react to shots, which every client and the server see with the same times.
+import { createRandom, randomBetween } from './random.js';
+import { COURSE_BOUNDS } from './courses.js';
+
+// Same box as BirdManager.spawnBoundary
+export const MOVEMENT_BOUNDS = COURSE_BOUNDS;
+
+export const DODGE = {
+    radius: 0.6,        // m from a shot's line that makes an evasive target dodge
+    duration: 250,      // ms a dodge takes
+    minDistance: 0.4,   // m
+    maxDistance: 0.8,
+    maxDodges: 6        // Then it tires and takes hits like any other target
+};
+
+export const MAX_SHOTS = 32; // Shots remembered per evasive target
+
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function scale(v, s) {
+    return [v[0] * s, v[1] * s, v[2] * s];
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return length > 0 ? scale(v, 1 / length) : [0, 0, 0];
+}
+
+function clamp(position) {
+    const { minX, maxX, minY, maxY, minZ, maxZ } = MOVEMENT_BOUNDS;
+    return [
+        Math.min(maxX, Math.max(minX, position[0])),
+        Math.min(maxY, Math.max(minY, position[1])),
+        Math.min(maxZ, Math.max(minZ, position[2]))
+    ];
+}
+
+// Reflects a coordinate back and forth between min and max
+function fold(value, min, max) {
+    const width = max - min;
+    if (width <= 0) return min;
+    const m = ((value - min) % (2 * width) + 2 * width) % (2 * width);
+    return min + (m <= width ? m : 2 * width - m);
+}
+
+function bounce(position) {
+    const { minX, maxX, minY, maxY, minZ, maxZ } = MOVEMENT_BOUNDS;
+    return [fold(position[0], minX, maxX), fold(position[1], minY, maxY), fold(position[2], minZ, maxZ)];
+}
+
+// Mostly level, in any compass direction
+function randomVelocity(random, minSpeed, maxSpeed) {
+    const angle = randomBetween(random, 0, Math.PI * 2);
+    const climb = randomBetween(random, -0.3, 0.3);
+    return scale(normalize([Math.cos(angle), climb, Math.sin(angle)]), randomBetween(random, minSpeed, maxSpeed));
+}
+
+function randomPosition(random) {
+    const { minX, maxX, minY, maxY, minZ, maxZ } = MOVEMENT_BOUNDS;
+    return [randomBetween(random, minX, maxX), randomBetween(random, minY, maxY), randomBetween(random, minZ, maxZ)];
+}
+
+// Each behaviour turns a seeded random sequence into its parameters, and those
+// plus the time since spawn (and, for evasive targets, the shots so far) into a position
+export const BEHAVIORS = {
+    // Straight lines, bouncing off the walls of the spawn area
+    bounce: {
+        create: random => ({ velocity: randomVelocity(random, 0.4, 0.8) }),
+        positionAt: (movement, elapsed) => bounce(add(movement.origin, scale(movement.velocity, elapsed / 1000)))
+    },
+
+    // Level circles that pass through the spawn point
+    orbit: {
+        create: random => ({
+            radius: randomBetween(random, 0.3, 0.6),
+            angularSpeed: randomBetween(random, 0.8, 1.6) * (random() < 0.5 ? -1 : 1), // rad/s
+            phase: randomBetween(random, 0, Math.PI * 2)
+        }),
+        positionAt: (movement, elapsed) => {
+            const { origin, radius, angularSpeed, phase } = movement;
+            const angle = phase + angularSpeed * elapsed / 1000;
+            return clamp([
+                origin[0] + radius * (Math.cos(angle) - Math.cos(phase)),
+                origin[1],
+                origin[2] + radius * (Math.sin(angle) - Math.sin(phase))
+            ]);
+        }
+    },
+
+    // A slow bounce with a sine-wave bob on top
+    drift: {
+        create: random => ({
+            velocity: randomVelocity(random, 0.15, 0.3),
+            amplitude: randomBetween(random, 0.15, 0.35), // m
+            frequency: randomBetween(random, 0.3, 0.8),   // Hz
+            phase: randomBetween(random, 0, Math.PI * 2)
+        }),
+        positionAt: (movement, elapsed) => {
+            const { origin, velocity, amplitude, frequency, phase } = movement;
+            const position = bounce(add(origin, scale(velocity, elapsed / 1000)));
+            const wave = Math.sin(phase + Math.PI * 2 * frequency * elapsed / 1000) - Math.sin(phase);
+            return clamp([position[0], position[1] + amplitude * wave, position[2]]);
+        }
+    },
+
+    // Holds still, but sidesteps shots aimed close to it
+    evade: {
+        create: () => ({}),
+        positionAt: (movement, elapsed, shots) => {
+            const dodges = getDodges(movement, shots);
+            return dodgedPosition(movement.origin, dodges, elapsed);
+        }
+    },
+
+    // Holds still, then jumps somewhere else in the spawn area every so often
+    blink: {
+        create: random => ({ interval: randomBetween(random, 1500, 3000) }), // ms
+        positionAt: (movement, elapsed) => {
+            const jump = Math.floor(Math.max(0, elapsed) / movement.interval);
+            if (jump === 0) return movement.origin.slice();
+            return randomPosition(createRandom(movement.seed + jump));
+        }
+    }
+};
+
+export const BEHAVIOR_NAMES = Object.keys(BEHAVIORS);
+
+// { behavior, seed } for a new target, e.g. from the host
+export function randomMovement(random = Math.random) {
+    return {
+        behavior: BEHAVIOR_NAMES[Math.floor(random() * BEHAVIOR_NAMES.length)],
+        seed: Math.floor(random() * 0x100000000)
+    };
+}
+
+// Parameters for a target's { behavior, seed } starting at origin, or null for
+// a behaviour this version doesn't know (the target then stands still)
+export function resolveMovement({ behavior, seed }, origin) {
+    const definition = Object.hasOwn(BEHAVIORS, behavior) ? BEHAVIORS[behavior] : null;
+    if (!definition) return null;
+    return { behavior, seed, origin: origin.slice(), ...definition.create(createRandom(seed)) };
+}
+
+// Where a target is `elapsed` ms after it spawned. shots: [{ time, origin, direction }]
+// with time in ms since the spawn, oldest first; only evasive targets use them.
+export function movementPositionAt(movement, elapsed, shots = []) {
+    return BEHAVIORS[movement.behavior].positionAt(movement, Math.max(0, elapsed), shots);
+}
+
+// Where a shot is stored in a target's list so the list stays oldest first
+export function insertShot(shots, shot) {
+    if (shots.length >= MAX_SHOTS) return false;
+    let index = shots.length;
+    while (index > 0 && shots[index - 1].time > shot.time) index--;
+    shots.splice(index, 0, shot);
+    return true;
+}
+
+// Replays the shots in order: each one that passes within DODGE.radius of where
+// the target is at that moment starts a dodge straight away from its line
+function getDodges(movement, shots) {
+    const random = createRandom(movement.seed);
+    const dodges = [];
+    for (const shot of shots) {
+        if (dodges.length >= DODGE.maxDodges) break;
+        if (shot.time < 0) continue;
+
+        const position = dodgedPosition(movement.origin, dodges, shot.time);
+        const direction = normalize(shot.direction);
+        const toTarget = add(position, scale(shot.origin, -1));
+        const along = toTarget[0] * direction[0] + toTarget[1] * direction[1] + toTarget[2] * direction[2];
+        if (along <= 0) continue; // Behind the shooter
+
+        const away = add(toTarget, scale(direction, -along));
+        if (Math.hypot(away[0], away[1], away[2]) > DODGE.radius) continue;
+
+        // Dead-on shots push it sideways
+        let dodgeDirection = normalize(away);
+        if (dodgeDirection.every(n => n === 0)) {
+            dodgeDirection = normalize([-direction[2], 0, direction[0]]);
+        }
+        if (dodgeDirection.every(n => n === 0)) {
+            dodgeDirection = [1, 0, 0];
+        }
+        dodges.push({
+            time: shot.time,
+            offset: scale(dodgeDirection, randomBetween(random, DODGE.minDistance, DODGE.maxDistance))
+        });
+    }
+    return dodges;
+}
+
+function dodgedPosition(origin, dodges, elapsed) {
+    let position = origin.slice();
+    for (const dodge of dodges) {
+        if (dodge.time > elapsed) break;
+        const progress = Math.min(1, (elapsed - dodge.time) / DODGE.duration);
+        position = clamp(add(position, scale(dodge.offset, progress)));
+    }
+    return position;
+}
@@ -0,0 +1,17 @@
+// Seeded pseudo-random numbers (mulberry32), so the client and the server can
+// generate the same sequence from a shared seed. Not for anything security-related.
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Uniform value in [min, max)
+export function randomBetween(random, min, max) {
+    return min + random() * (max - min);
+}
@@ -0,0 +1,91 @@
+// Scoring rules shared by the client and the server.
+// The server scores every kill with these rules and sends the award in
+// birdKilled; clients add the awarded points as-is, so every scoreboard agrees.
+export const TARGET_POINTS = {
+    ball: 10, // HolographicBall
+    dart: 15, // Fast wave-mode ball, see shared/waves.js
+    tank: 20  // Slow wave-mode ball that takes two hits
+};
+
+export const DEFAULT_TARGET_TYPE = 'ball';
+
+export const DISTANCE_BONUS = {
+    minDistance: 3,     // m before the bonus starts
+    pointsPerMetre: 1,
+    maxBonus: 10
+};
+
+export const COMBO = {
+    step: 0.25,         // Added to the multiplier for each hit in a row after the first
+    maxMultiplier: 3
+};
+
+export const STREAK = {
+    window: 4000,       // ms allowed between kills to keep a streak going
+    bonuses: {          // Streak length -> one-off bonus when it's reached
+        3: 10,
+        5: 25,
+        10: 50
+    }
+};
+
+export function comboMultiplier(combo) {
+    return Math.min(COMBO.maxMultiplier, 1 + COMBO.step * Math.max(0, combo - 1));
+}
+
+export function distanceBonus(distance) {
+    const bonus = Math.floor((distance - DISTANCE_BONUS.minDistance) * DISTANCE_BONUS.pointsPerMetre);
+    return Math.max(0, Math.min(DISTANCE_BONUS.maxBonus, bonus));
+}
+
+// e.g. "+22 (x1.5 combo, 3 streak +10)"
+export function describeAward(award) {
+    const details = [];
+    if (award.multiplier > 1) details.push(`x${award.multiplier} combo`);
+    if (award.streakBonus > 0) details.push(`${award.streak} streak +${award.streakBonus}`);
+    return `+${award.points}` + (details.length > 0 ? ` (${details.join(', ')})` : '');
+}
+
+// One player's combo and streak within a match. Times are server time in ms.
+export class ScoreState {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.combo = 0; // Hits in a row
+        this.streak = 0; // Kills in quick succession
+        this.lastKillTime = -Infinity;
+    }
+
+    recordHit() {
+        this.combo++;
+    }
+
+    // A bullet that expired without hitting anything breaks the combo
+    recordMiss() {
+        this.combo = 0;
+    }
+
+    // kill: { type, points?, distance, time }. Call after recordHit for the killing shot.
+    // points, when set (time-attack course targets), replaces the type's base points.
+    scoreKill(kill) {
+        this.streak = kill.time - this.lastKillTime <= STREAK.window ? this.streak + 1 : 1;
+        this.lastKillTime = kill.time;
+
+        const base = kill.points ?? TARGET_POINTS[kill.type] ?? TARGET_POINTS[DEFAULT_TARGET_TYPE];
+        const bonus = distanceBonus(kill.distance);
+        const multiplier = comboMultiplier(this.combo);
+        const streakBonus = STREAK.bonuses[this.streak] || 0;
+
+        return {
+            points: Math.round((base + bonus) * multiplier) + streakBonus,
+            base,
+            distanceBonus: bonus,
+            multiplier,
+            combo: this.combo,
+            streak: this.streak,
+            streakBonus
+        };
+    }
+}
@@ -0,0 +1,28 @@
+// Teams for the 'teams' game mode, shared by the client and the server.
+// The server assigns each player a team id in their profile; both sides
+// total scores per team with the same function.
+export const TEAMS = [
+    { id: 'red', name: 'Red', color: '#ff4d4d' },
+    { id: 'blue', name: 'Blue', color: '#4d79ff' }
+];
+
+export function getTeam(id) {
+    return TEAMS.find(team => team.id === id) || null;
+}
+
+// players: [{ team, score }]; returns every team with its total, best first
+export function getTeamTotals(players) {
+    return TEAMS.map(team => ({
+        ...team,
+        score: players
+            .filter(player => player.team === team.id)
+            .reduce((total, player) => total + player.score, 0)
+    })).sort((a, b) => b.score - a.score);
+}
+
+// The leading team's id, or null on a tie
+export function getWinningTeam(totals) {
+    if (totals.length === 0) return null;
+    if (totals.length > 1 && totals[0].score === totals[1].score) return null;
+    return totals[0].id;
+}
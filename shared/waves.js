@@ -0,0 +1,54 @@
+// Co-op wave mode, shared by the client and the server.
+// The server runs the waves and decides when targets escape; the host spawns
+// each wave's targets from these definitions and every client moves them the same way.
+export const STARTING_LIVES = 10; // Shared by the whole room
+export const WAVE_BREAK = 4000;   // ms between clearing a wave and the next one starting
+export const SPAWN_INTERVAL = 1200; // ms between a wave's targets appearing
+export const ESCAPE_DISTANCE = 6; // m a target travels from its spawn point before it escapes
+
+// Per-type tweaks applied on top of a wave's speed and health
+export const TARGET_TYPES = {
+    ball: { speedMultiplier: 1, healthMultiplier: 1, color: '#00ffff' },
+    dart: { speedMultiplier: 1.6, healthMultiplier: 1, color: '#ff4dff' },
+    tank: { speedMultiplier: 0.6, healthMultiplier: 2, color: '#ff922b' }
+};
+
+// speed in m/s, health in hit points (bullets do 25)
+export const WAVES = [
+    { count: 4, types: ['ball'], speed: 0.3, health: 25 },
+    { count: 6, types: ['ball'], speed: 0.4, health: 25 },
+    { count: 6, types: ['ball', 'dart'], speed: 0.5, health: 25 },
+    { count: 8, types: ['ball', 'tank'], speed: 0.5, health: 25 },
+    { count: 10, types: ['ball', 'dart', 'tank'], speed: 0.6, health: 25 },
+    { count: 12, types: ['dart', 'tank'], speed: 0.7, health: 50 }
+];
+
+// Waves past the end of the list keep growing from the last one
+export function getWave(number) {
+    const index = Math.max(1, number) - 1;
+    if (index < WAVES.length) return WAVES[index];
+
+    const last = WAVES[WAVES.length - 1];
+    const extra = index - (WAVES.length - 1);
+    return {
+        ...last,
+        count: last.count + extra * 2,
+        speed: Math.round(last.speed * Math.pow(1.1, extra) * 100) / 100
+    };
+}
+
+// Speed and health for the i-th target of a wave
+export function getTargetProperties(wave, index) {
+    const type = wave.types[index % wave.types.length];
+    const modifiers = TARGET_TYPES[type] ?? TARGET_TYPES.ball;
+    return {
+        type,
+        speed: wave.speed * modifiers.speedMultiplier,
+        health: wave.health * modifiers.healthMultiplier
+    };
+}
+
+// ms until a target moving at `speed` escapes, or Infinity for one that stays put
+export function escapeTime(speed) {
+    return speed > 0 ? ESCAPE_DISTANCE / speed * 1000 : Infinity;
+}
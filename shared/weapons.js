@@ -0,0 +1,57 @@
+// Weapon definitions shared by the client and the server.
+// The client enforces them for feel; the server re-checks every bulletSpawned
+// against its timestamp so no input method can fire faster than another.
+export const WEAPONS = {
+    rifle: {
+        id: 'rifle',
+        fireInterval: 200,  // ms between shots (300 rounds/min)
+        magazineSize: 12,
+        reloadTime: 1500,   // ms, starts automatically when the magazine runs dry
+        bulletSpeed: 20     // m/s
+    }
+};
+
+export const DEFAULT_WEAPON = WEAPONS.rifle;
+
+// One player's magazine and cooldown. Times are server time in ms, so the
+// client's local check and the server's check agree on the same timestamps.
+export class WeaponState {
+    constructor(weapon = DEFAULT_WEAPON) {
+        this.weapon = weapon;
+        this.reset();
+    }
+
+    reset() {
+        this.ammo = this.weapon.magazineSize;
+        this.lastShotTime = -Infinity;
+        this.reloadEndTime = 0;
+    }
+
+    isReloading(time) {
+        return time < this.reloadEndTime;
+    }
+
+    // Returns null if a shot at `time` is allowed, otherwise the reason it isn't.
+    // tolerance absorbs small clock corrections between two shots.
+    check(time, tolerance = 0) {
+        if (this.ammo === 0 && time >= this.reloadEndTime - tolerance) {
+            this.ammo = this.weapon.magazineSize;
+        }
+        if (this.ammo === 0) return 'reloading';
+        if (time - this.lastShotTime < this.weapon.fireInterval - tolerance) return 'cooldown';
+        return null;
+    }
+
+    // Spends a round if the shot is allowed; returns the same result as check()
+    fire(time, tolerance = 0) {
+        const reason = this.check(time, tolerance);
+        if (reason) return reason;
+
+        this.ammo--;
+        this.lastShotTime = time;
+        if (this.ammo === 0) {
+            this.reloadEndTime = time + this.weapon.reloadTime;
+        }
+        return null;
+    }
+}